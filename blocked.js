@@ -3,21 +3,96 @@
 // Shows which domain is blocked and provides snooze options
 
 /**
- * Extract the blocked domain from URL hash parameter
- * Format: blocked.html#d=example.com
- * @returns {string} The blocked domain or empty string
+ * Split the URL hash into its parameters and the original URL
+ * The original URL is passed unencoded (DNR can't encode it), so it always comes
+ * last: blocked.html#d=example.com&r=budget&u=https://example.com/page?a=1&b=2
+ * @returns {Object} { params: "#d=...&r=...", url: original URL or "" }
+ */
+function splitHash() {
+  const hash = location.hash || "";
+  const at = hash.indexOf("&u=");
+  return at === -1
+    ? { params: hash, url: "" }
+    : { params: hash.slice(0, at), url: hash.slice(at + "&u=".length) };
+}
+
+/**
+ * Extract the blocked entry from URL hash parameter
+ * Format: blocked.html#d=example.com (or a path/regex entry such as youtube.com/shorts)
+ * @returns {string} The blocked entry or empty string
  */
 function getDomainFromHash() {
-  const match = (location.hash || "").match(/[#&]d=([^&]+)/);
+  const match = splitHash().params.match(/[#&]d=([^&]+)/);
   if (match) {
-    // Decode and normalize the domain
+    // Decode and normalize; entries are already lowercase where it matters,
+    // and path/regex parts are case-sensitive, so no lowercasing here
     return decodeURIComponent(match[1])
-      .replace(/^www\./i, "")
-      .toLowerCase();
+      .replace(/^www\./i, "");
+  }
+  return "";
+}
+
+/**
+ * Extract why the entry is blocked from the URL hash
+ * Format: blocked.html#d=example.com&r=budget
+ * @returns {string} Reason ("budget") or empty string for a regular block
+ */
+function getReasonFromHash() {
+  const match = splitHash().params.match(/[#&]r=([^&]+)/);
+  return match ? decodeURIComponent(match[1]) : "";
+}
+
+/**
+ * Accept an address only if it is http(s) on the given site
+ * @param {string} raw - Address to check
+ * @param {string} host - Site it must belong to (subdomains included)
+ * @returns {string} Normalized URL or empty string
+ */
+function sameSiteUrl(raw, host) {
+  if (!raw || !host) return "";
+  try {
+    const url = new URL(raw);
+    const hostname = url.hostname.replace(/^www\./i, "");
+    const sameSite = hostname === host || hostname.endsWith(`.${host}`);
+    if ((url.protocol === "https:" || url.protocol === "http:") && sameSite) return url.href;
+  } catch {
+    // Not a URL, ignore
   }
   return "";
 }
 
+/**
+ * Check that FocusGate really blocks this entry: it is on the active blocklist, or in
+ * allowlist mode a site that isn't allowlisted
+ * The hash can't be trusted on its own: any page can link to this page
+ * @param {string} entry - Entry from the hash (or host in allowlist mode)
+ * @returns {Promise<boolean>} True if the entry is blocked by the current lists
+ */
+async function isBlockedEntry(entry) {
+  try {
+    const { blockMode = "block", blockedDomains = [], allowedDomains = [] } =
+      await readSync(["blockMode", "blockedDomains", "allowedDomains"]);
+    if (blockMode !== "allow") return blockedDomains.includes(entry);
+    return isValidDomain(entry) && !allowedDomains.some(d => entry === d || entry.endsWith(`.${d}`));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Find where to go after a snooze: the exact page that was blocked, then the referrer
+ * (older rules without the URL), then the site's home page
+ * Only for entries FocusGate blocks, and only to http(s) addresses on the entry's own
+ * site, so a crafted link to this page can't send the user elsewhere (no open redirect)
+ * @param {string} entry - Blocked entry (or host in allowlist mode)
+ * @returns {Promise<string>} Address, or empty string if the entry isn't blocked
+ */
+async function getReturnUrl(entry) {
+  const host = entryHost(entry) || entry;
+  if (!host || !(await isBlockedEntry(entry))) return "";
+  return sameSiteUrl(splitHash().url, host) || sameSiteUrl(document.referrer, host) || `https://${host}/`;
+}
+
 /**
  * Try to extract domain from document.referrer as fallback
  * This helps if the hash parameter is missing
@@ -125,6 +200,24 @@ function applyI18nBlocked() {
   }
 }
 
+/**
+ * Replace the generic text when the daily time budget is what blocked the site
+ * @param {string} resetTime - "HH:MM" local time budgets reset at
+ */
+function applyBudgetMessage(resetTime) {
+  const titleEl = document.getElementById('t');
+  if (titleEl) {
+    titleEl.textContent = getMessageBlocked('budgetBlockedTitle') || 'Time budget used up';
+  }
+  
+  const descEl = document.getElementById('d');
+  if (descEl) {
+    const msg = getMessageBlocked('budgetBlockedMessage') ||
+      "You've used today's time budget for this site. It resets at";
+    descEl.textContent = `${msg} ${resetTime}.`;
+  }
+}
+
 /* ========== THEME MANAGEMENT ========== */
 
 /**
@@ -167,11 +260,310 @@ async function initBlocked() {
   
   // Apply translations
   applyI18nBlocked();
+  configureUnlock(getMessageBlocked);
+  
+  // Explain budget blocks instead of showing the generic message
+  if (getReasonFromHash() === "budget") {
+    let resetTime = "00:00";
+    try {
+      const { budgetResetTime } = await chrome.storage.sync.get("budgetResetTime");
+      if (budgetResetTime) resetTime = budgetResetTime;
+    } catch {
+      // Fall back to midnight
+    }
+    applyBudgetMessage(resetTime);
+  }
+  
+  // Show what is left of today's snooze allowance, or that snoozing is locked
+  const entry = getDomainFromHash() || getDomainFromReferrer();
+  const lock = await getLockBlocked();
+  if (lock) {
+    document.getElementById('allowance').textContent = refusalMessage({ code: "LOCKED", availableAt: lock.until });
+  } else if (entry) {
+    const allowance = await getSnoozeAllowance(entry);
+    document.getElementById('allowance').textContent = describeAllowanceBlocked(allowance);
+  }
+  
+  // Personal messages and today's attempts, kept live while the page is open
+  if (entry) {
+    await renderMessagesBlocked(entry);
+    await renderAttemptsBlocked(entry);
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if ((area === "local" && changes.blockStats) || (area === "sync" && changes.budgetResetTime)) {
+        renderAttemptsBlocked(entry);
+      }
+    });
+  }
 }
 
 // Initialize as soon as possible
 initBlocked();
 
+/* ========== PERSONAL MESSAGES ========== */
+// The focus intention (sync), the note written for this entry (sync, domainNotes),
+// a quote from the user's own list (local, blockedQuotes) and today's attempts
+
+/**
+ * Show a text in an element, or hide the element if there is none
+ * @param {string} id - Element ID
+ * @param {string} text - Text to show
+ */
+function showTextBlocked(id, text) {
+  const el = document.getElementById(id);
+  el.textContent = text || "";
+  el.hidden = !text;
+}
+
+/**
+ * Count today's block attempts for an entry
+ * "Today" starts at the budget reset time, like budgets and the snooze allowance
+ * @param {string} entry - Blocked entry
+ * @returns {Promise<number>} Attempts, including this one once it is recorded
+ */
+async function countAttemptsToday(entry) {
+  try {
+    const [{ blockStats = {} }, { budgetResetTime = DEFAULT_BUDGET_RESET }] = await Promise.all([
+      chrome.storage.local.get("blockStats"),
+      chrome.storage.sync.get("budgetResetTime")
+    ]);
+    const start = budgetPeriodStart(budgetResetTime);
+    return (blockStats.attempts || []).filter(([ts, target]) => ts >= start && target === entry).length;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * Show how often this site was tried today
+ * @param {string} entry - Blocked entry
+ */
+async function renderAttemptsBlocked(entry) {
+  const count = await countAttemptsToday(entry);
+  showTextBlocked('attempts', count ? `${getMessageBlocked('attemptsToday') || 'Attempts today'}: ${count}` : "");
+}
+
+/**
+ * Show the focus intention, this entry's note and the next quote
+ * @param {string} entry - Blocked entry
+ */
+async function renderMessagesBlocked(entry) {
+  try {
+    const [{ focusIntention = "", domainNotes = {} }, { blockedQuotes = [], blockStats = {} }] = await Promise.all([
+      readSync(["focusIntention", "domainNotes"]),
+      chrome.storage.local.get(["blockedQuotes", "blockStats"])
+    ]);
+    showTextBlocked('intention', focusIntention);
+    const note = domainNotes[entry];
+    showTextBlocked('note', note ? `${getMessageBlocked('noteLabel') || 'Why you blocked this'}: ${note}` : "");
+    // Each block attempt moves on to the next quote
+    const seen = (blockStats.attempts || []).length;
+    showTextBlocked('quote', blockedQuotes.length ? blockedQuotes[seen % blockedQuotes.length] : "");
+  } catch {
+    // Keep the page usable without them
+  }
+}
+
+/* ========== SNOOZE ALLOWANCE ========== */
+
+/**
+ * Read the snooze allowance of an entry (see snoozeAllowance() in schedule.js)
+ * @param {string} entry - Blocked entry
+ * @returns {Promise<Object>} { remaining (null = unlimited), availableAt }
+ */
+async function getSnoozeAllowance(entry) {
+  try {
+    const [{ snoozeLimits = {}, budgetResetTime = DEFAULT_BUDGET_RESET }, { snoozeLog = null }] =
+      await Promise.all([
+        chrome.storage.sync.get(["snoozeLimits", "budgetResetTime"]),
+        chrome.storage.local.get("snoozeLog")
+      ]);
+    return snoozeAllowance(entry, snoozeLimits, snoozeLog, budgetResetTime);
+  } catch {
+    return { remaining: null, availableAt: 0 };
+  }
+}
+
+/**
+ * Format a timestamp as a short local time, with the weekday if it isn't today
+ * @param {number} ts - Timestamp
+ * @returns {string} e.g. "14:05" or "Tue 09:00"
+ */
+function formatClockBlocked(ts) {
+  const sameDay = new Date(ts).toDateString() === new Date().toDateString();
+  return new Date(ts).toLocaleString(undefined, sameDay
+    ? { hour: '2-digit', minute: '2-digit' }
+    : { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Describe a snooze allowance for display
+ * @param {Object} allowance - { remaining, availableAt }
+ * @returns {string} e.g. "2 snoozes left today · next snooze at 14:05" (empty when unlimited)
+ */
+function describeAllowanceBlocked(allowance) {
+  const parts = [];
+  if (allowance.remaining !== null) {
+    parts.push(`${allowance.remaining} ${getMessageBlocked('snoozesLeft') || 'snooze(s) left today'}`);
+  }
+  if (allowance.availableAt > Date.now()) {
+    parts.push(`${getMessageBlocked('snoozeNextAt') || 'next snooze at'} ${formatClockBlocked(allowance.availableAt)}`);
+  }
+  return parts.join(" · ");
+}
+
+/**
+ * Read the running commitment lock (see activeLock() in schedule.js)
+ * @returns {Promise<Object|null>} Lock, or null if none is running
+ */
+async function getLockBlocked() {
+  try {
+    const { commitLock = null } = await chrome.storage.local.get("commitLock");
+    return activeLock(commitLock);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Explain why a snooze was refused, using the service worker's error code when there is one
+ * @param {Object} res - { error, code, availableAt }
+ * @returns {string} Message for the user
+ */
+function refusalMessage(res) {
+  if (res?.code?.startsWith("PIN_")) return pinRefusalText(res);
+  if (res?.code === "LOCKED") {
+    return `🔒 ${getMessageBlocked('lockedUntil') || 'Locked until'} ${formatClockBlocked(res.availableAt)}`;
+  }
+  const byCode = {
+    SNOOZE_LIMIT_REACHED: getMessageBlocked('snoozeLimitReached') || 'No snoozes left today',
+    SNOOZE_COOLDOWN: getMessageBlocked('snoozeCooldown') || 'Too soon since the last snooze'
+  };
+  let text = byCode[res?.code] || res?.error || "Could not snooze this site.";
+  if (res?.availableAt) {
+    text += ` · ${getMessageBlocked('snoozeNextAt') || 'next snooze at'} ${formatClockBlocked(res.availableAt)}`;
+  }
+  return text;
+}
+
+/* ========== SNOOZE FRICTION ========== */
+// Optional challenge before a snooze from this page is applied, so that
+// snoozing takes a deliberate moment instead of one impulsive click
+
+const FRICTION_COUNTDOWN_SECONDS = 30;
+const FRICTION_MIN_REASON_LENGTH = 20;
+const FRICTION_WORDS = [
+  "amber", "bridge", "candle", "desert", "ember", "forest", "garden", "harbor",
+  "island", "jungle", "kettle", "lantern", "meadow", "needle", "orchard", "pebble",
+  "quartz", "river", "saddle", "timber", "umbrella", "valley", "willow", "yonder"
+];
+
+/**
+ * Look up which challenge applies to an entry (per-domain setting beats the global one)
+ * @param {string} entry - Blocked entry
+ * @returns {Promise<string>} "none", "countdown", "phrase" or "reason"
+ */
+async function getFriction(entry) {
+  try {
+    const { snoozeFriction = "none", domainFriction = {} } =
+      await readSync(["snoozeFriction", "domainFriction"]);
+    return domainFriction[entry] || snoozeFriction;
+  } catch {
+    return "none";
+  }
+}
+
+/**
+ * Build a random phrase to retype
+ * @returns {string} Five random words
+ */
+function randomPhrase() {
+  const picks = crypto.getRandomValues(new Uint32Array(5));
+  return Array.from(picks, n => FRICTION_WORDS[n % FRICTION_WORDS.length]).join(" ");
+}
+
+/**
+ * Show the challenge for a snooze and wait until it is completed or cancelled
+ * @param {string} type - Friction type from getFriction()
+ * @returns {Promise<boolean>} True when the snooze may go ahead
+ */
+function runFriction(type) {
+  if (!["countdown", "phrase", "reason"].includes(type)) return Promise.resolve(true);
+  
+  const box = document.getElementById("challenge");
+  box.innerHTML = "";
+  box.hidden = false;
+  
+  const prompt = document.createElement("p");
+  const confirmBtn = document.createElement("button");
+  confirmBtn.className = "ghost";
+  confirmBtn.disabled = true;
+  confirmBtn.textContent = getMessageBlocked('frictionConfirm') || 'Snooze';
+  const cancelBtn = document.createElement("button");
+  cancelBtn.className = "ghost";
+  cancelBtn.textContent = getMessageBlocked('frictionCancel') || 'Never mind';
+  box.appendChild(prompt);
+  
+  let timer = null;
+  if (type === "countdown") {
+    // Wait it out: the confirm button unlocks when the countdown ends
+    let left = FRICTION_COUNTDOWN_SECONDS;
+    const waitMsg = getMessageBlocked('frictionCountdown') || 'Take a breath. You can snooze in';
+    const tick = () => {
+      prompt.textContent = `${waitMsg} ${left}s`;
+      if (left-- <= 0) {
+        clearInterval(timer);
+        prompt.textContent = getMessageBlocked('frictionCountdownDone') || 'Still need it? Go ahead.';
+        confirmBtn.disabled = false;
+      }
+    };
+    tick();
+    timer = setInterval(tick, 1000);
+  } else {
+    // Retype a phrase or write a reason: typing only, no pasting
+    const phrase = type === "phrase" ? randomPhrase() : "";
+    prompt.textContent = type === "phrase"
+      ? (getMessageBlocked('frictionPhrase') || 'Type this phrase to snooze:')
+      : (getMessageBlocked('frictionReason') || 'Why do you need this site right now?');
+    
+    if (phrase) {
+      const code = document.createElement("p");
+      code.className = "phrase";
+      code.textContent = phrase;
+      box.appendChild(code);
+    }
+    
+    const input = document.createElement(type === "phrase" ? "input" : "textarea");
+    input.setAttribute("aria-label", prompt.textContent);
+    input.autocomplete = "off";
+    input.spellcheck = false;
+    input.addEventListener("paste", e => e.preventDefault());
+    input.addEventListener("drop", e => e.preventDefault());
+    input.addEventListener("input", () => {
+      confirmBtn.disabled = type === "phrase"
+        ? input.value.trim().toLowerCase() !== phrase
+        : input.value.trim().length < FRICTION_MIN_REASON_LENGTH;
+    });
+    box.appendChild(input);
+    setTimeout(() => input.focus(), 0);
+  }
+  
+  const row = document.createElement("div");
+  row.className = "row";
+  row.append(confirmBtn, cancelBtn);
+  box.appendChild(row);
+  
+  return new Promise(resolve => {
+    const finish = ok => {
+      clearInterval(timer);
+      box.hidden = true;
+      box.innerHTML = "";
+      resolve(ok);
+    };
+    confirmBtn.onclick = () => finish(true);
+    cancelBtn.onclick = () => finish(false);
+  });
+}
+
 /* ========== MAIN FUNCTIONALITY ========== */
 
 // Get the blocked domain and display it
@@ -186,6 +578,11 @@ if (domain) {
   hostlineEl.textContent = "Site blocked";
 }
 
+// Count this block attempt in the on-device statistics
+if (domain) {
+  chrome.runtime.sendMessage({ cmd: "recordAttempt", domain }).catch(() => {});
+}
+
 // Handle snooze buttons
 document.querySelectorAll("button[data-min]").forEach(btn => {
   btn.addEventListener("click", async () => {
@@ -195,7 +592,29 @@ document.querySelectorAll("button[data-min]").forEach(btn => {
       return;
     }
     
-    // Disable button to prevent double-clicks
+    // Don't make the user complete a challenge for a snooze that would be refused
+    const lock = await getLockBlocked();
+    if (lock) {
+      alert(refusalMessage({ code: "LOCKED", availableAt: lock.until }));
+      return;
+    }
+    const allowance = await getSnoozeAllowance(domain);
+    if (allowance.remaining === 0 || allowance.availableAt > Date.now()) {
+      alert(refusalMessage({
+        code: allowance.remaining === 0 ? "SNOOZE_LIMIT_REACHED" : "SNOOZE_COOLDOWN",
+        availableAt: allowance.availableAt
+      }));
+      return;
+    }
+    
+    // Disable buttons to prevent double-clicks while a challenge runs
+    const snoozeBtns = document.querySelectorAll("button[data-min]");
+    snoozeBtns.forEach(b => { b.disabled = true; });
+    
+    // Complete the configured challenge before anything is sent
+    const passed = await runFriction(await getFriction(domain));
+    snoozeBtns.forEach(b => { b.disabled = false; });
+    if (!passed) return;
     btn.disabled = true;
     
     // Get snooze duration from button
@@ -203,11 +622,17 @@ document.querySelectorAll("button[data-min]").forEach(btn => {
     
     try {
       // Tell service worker to pause this domain
-      await chrome.runtime.sendMessage({
+      const res = await sendProtected({
         cmd: "pauseDomain",
         domain: domain,
         minutes: minutes
       });
+      if (!res?.ok) {
+        // Refused (focus session's work interval, commitment lock, PIN, snooze limit or cooldown)
+        btn.disabled = false;
+        alert(refusalMessage(res));
+        return;
+      }
     } catch (err) {
       // Failed to snooze, re-enable button
       btn.disabled = false;
@@ -217,13 +642,9 @@ document.querySelectorAll("button[data-min]").forEach(btn => {
     // Wait a moment for the rule to update
     await new Promise(resolve => setTimeout(resolve, 150));
     
-    // Redirect back to the original site
-    // Use referrer if available, otherwise construct URL
-    const target = document.referrer && /^https?:\/\//i.test(document.referrer) 
-      ? document.referrer 
-      : `https://${domain}/`;
-    
-    location.replace(target);
+    // Redirect back to the page that was blocked (stay here if the entry isn't ours)
+    const target = await getReturnUrl(domain);
+    if (target) location.replace(target);
   });
 });
 
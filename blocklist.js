@@ -0,0 +1,162 @@
+// FocusGate Blocklist Storage
+// Purpose: Reads and writes the active blocklist and its per-domain settings
+// Shared by the popup and the options page (<script>, after entries.js, unlock.js and syncstore.js)
+
+// Per-domain settings in sync storage, keyed by blocklist entry
+const PER_DOMAIN_SYNC_KEYS = ["domainSchedules", "domainExceptions", "domainBudgets", "domainFriction", "domainRedirects", "domainNotes"];
+
+/**
+ * Get blocked domains from Chrome sync storage (see syncstore.js)
+ * @returns {Promise<string[]>} Array of blocked domains
+ */
+async function getBlocked() {
+  const { blockedDomains = [] } = await readSync("blockedDomains");
+  return blockedDomains;
+}
+
+/**
+ * Update blocked domains in storage and sync rules
+ * New entries get an "added" timestamp; settings of entries that are no longer
+ * in any profile are dropped
+ * @param {string[]} domains - New list of domains to block
+ */
+async function setBlocked(domains) {
+  // Deduplicate, normalize, and sort domains
+  const uniq = [...new Set(domains.map(normalizeEntry).filter(Boolean))].sort();
+  
+  // Drop per-domain settings that belong to domains no longer in any profile
+  const { profiles = {} } = await readSync("profiles");
+  const keep = new Set([...uniq, ...Object.values(profiles).flat()]);
+  const perDomain = await readSync(PER_DOMAIN_SYNC_KEYS);
+  for (const map of Object.values(perDomain)) {
+    for (const d of Object.keys(map)) {
+      if (!keep.has(d)) delete map[d];
+    }
+  }
+  
+  // Remember when each entry was added (kept locally: it's only used for sorting)
+  const { domainAddedAt = {} } = await chrome.storage.local.get("domainAddedAt");
+  const now = Date.now();
+  for (const d of Object.keys(domainAddedAt)) {
+    if (!keep.has(d)) delete domainAddedAt[d];
+  }
+  for (const d of uniq) {
+    if (!domainAddedAt[d]) domainAddedAt[d] = now;
+  }
+  
+  // Save to Chrome sync storage (syncs across devices; kept on this device if it doesn't fit)
+  await writeSync({ blockedDomains: uniq, ...perDomain });
+  await chrome.storage.local.set({ domainAddedAt });
+  
+  // Tell service worker to update blocking rules
+  await chrome.runtime.sendMessage({ cmd: "syncRules" });
+}
+
+/**
+ * Remove entries from the blocklist
+ * The service worker does the removal so it can refuse it during a commitment lock
+ * or ask for the PIN
+ * @param {string[]} entries - Entries to remove
+ * @returns {Promise<Object>} Service worker response ({ ok: false, error, code, availableAt } if refused)
+ */
+async function removeBlocked(entries) {
+  const res = await sendProtected({ cmd: "removeDomains", domains: entries });
+  
+  // Drop the removed entries' settings
+  if (res?.ok) await setBlocked(await getBlocked());
+  return res;
+}
+
+/**
+ * Replace a blocked entry with another, carrying its settings over
+ * Like a removal, this is refused during a commitment lock and may ask for the PIN
+ * @param {string} from - Existing entry
+ * @param {string} to - Normalized replacement entry
+ * @returns {Promise<Object>} Service worker response for the removal of the old entry
+ */
+async function renameBlocked(from, to) {
+  const res = await sendProtected({ cmd: "removeDomains", domains: [from] });
+  if (!res?.ok) return res;
+  
+  const perDomain = await readSync(PER_DOMAIN_SYNC_KEYS);
+  const { domainAddedAt = {} } = await chrome.storage.local.get("domainAddedAt");
+  for (const map of [...Object.values(perDomain), domainAddedAt]) {
+    if (from in map) {
+      map[to] = map[from];
+      delete map[from];
+    }
+  }
+  await writeSync(perDomain);
+  await chrome.storage.local.set({ domainAddedAt });
+  
+  const current = await getBlocked();
+  await setBlocked(current.concat(to));
+  return res;
+}
+
+/**
+ * Request host permission for a domain
+ * @param {string} domain - Domain to request permission for
+ * @returns {Promise<boolean>} True if permission granted
+ */
+async function requestOriginPermission(domain) {
+  const origins = originPatterns(domain);
+  
+  // Check if we already have permission
+  const hasPermission = await chrome.permissions.contains({ origins });
+  if (hasPermission) return true;
+  
+  // Request permission from user
+  return await chrome.permissions.request({ origins });
+}
+
+/**
+ * Request host permission for several domains with a single Chrome prompt
+ * Must be the first call made from a user gesture: awaiting anything before it loses the gesture
+ * @param {string[]} domains - Domains to request permission for
+ * @returns {Promise<boolean>} True if every domain is now granted
+ */
+async function requestOriginsPermission(domains) {
+  const origins = [...new Set(domains)].flatMap(originPatterns);
+  if (!origins.length) return true;
+  try {
+    return await chrome.permissions.request({ origins });
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Add an entry to the blocklist, asking Chrome for access to its site
+ * The entry is shown right away and removed again if permission is denied;
+ * must be called from a user gesture (click or submit)
+ * @param {string} entry - Normalized, supported entry
+ * @returns {Promise<boolean>} True if the entry is now blocked
+ */
+async function addBlockedWithPermission(entry) {
+  // Get current blocklist
+  const original = await getBlocked();
+  
+  // Mark as pending while we request permission
+  await chrome.runtime.sendMessage({ cmd: "markPending", domain: entry });
+  
+  // Add to list immediately for instant feedback
+  if (!original.includes(entry)) {
+    await setBlocked([...original, entry]);
+  }
+  
+  // Request permission for this domain
+  let granted = false;
+  try {
+    granted = await requestOriginPermission(entryHost(entry));
+  } catch (err) {
+    // Permission request failed silently
+  }
+  
+  // Clear pending status FIRST, then restore the list if denied
+  await chrome.runtime.sendMessage({ cmd: "markGranted", domain: entry });
+  if (!granted) {
+    await setBlocked(original);
+  }
+  return granted;
+}
\ No newline at end of file
@@ -0,0 +1,284 @@
+// FocusGate Statistics Dashboard
+// Purpose: Charts block attempts and snoozes recorded by the service worker
+// Reads chrome.storage.local only; nothing leaves the device
+
+const GLOBAL_SNOOZE_KEY = "*"; // Matches schedule.js
+const MAX_SITES_SHOWN = 15;
+const DAY_MS = 86400000;
+
+const rangeSelect = document.getElementById("range-select");
+const summaryEl = document.getElementById("summary");
+
+/* ========== INTERNATIONALIZATION ========== */
+
+// Locale data loaded from _locales directory
+let dashboardLocale = null;
+
+// Language used for dates on the charts
+let dashboardLang = 'en';
+
+/**
+ * Load locale messages for the dashboard
+ * @param {string} lang - Locale code (e.g. 'en', 'es', 'fr')
+ */
+async function loadLocaleDashboard(lang) {
+  try {
+    const url = chrome.runtime.getURL(`_locales/${lang}/messages.json`);
+    const res = await fetch(url);
+    dashboardLocale = res.ok ? await res.json() : null;
+  } catch {
+    // Failed to load locale, will fall back to chrome.i18n
+    dashboardLocale = null;
+  }
+}
+
+/**
+ * Get translated message for a key
+ * @param {string} key - Message identifier
+ * @returns {string} Translated message or empty string
+ */
+function getMessageDashboard(key) {
+  if (dashboardLocale && dashboardLocale[key] && dashboardLocale[key].message) {
+    return dashboardLocale[key].message;
+  }
+  if (chrome?.i18n) {
+    return chrome.i18n.getMessage(key) || '';
+  }
+  return '';
+}
+
+/**
+ * Apply translations to all static text on the dashboard
+ */
+function applyI18nDashboard() {
+  const set = (id, key) => {
+    const el = document.getElementById(id);
+    const msg = getMessageDashboard(key);
+    if (el && msg) el.textContent = msg;
+  };
+  set("dash-title", "statsTitle");
+  set("dash-privacy", "statsPrivacy");
+  set("clear-stats", "statsClear");
+  set("by-domain-title", "statsByDomain");
+  set("by-hour-title", "statsByHour");
+  set("by-week-title", "statsByWeek");
+  set("snoozes-title", "statsSnoozes");
+  
+  const days = getMessageDashboard('statsDays') || 'days';
+  for (const opt of rangeSelect.options) {
+    opt.textContent = `${opt.value} ${days}`;
+  }
+  
+  const title = getMessageDashboard('statsTitle');
+  if (title) document.title = title;
+}
+
+/* ========== THEME MANAGEMENT ========== */
+
+/**
+ * Apply theme based on user preference
+ * @param {string|boolean|undefined} mode - Theme mode
+ */
+function applyThemeDashboard(mode) {
+  const html = document.documentElement;
+  html.classList.remove('dark');
+  html.classList.remove('light');
+  
+  if (mode === 'dark' || mode === true) {
+    html.classList.add('dark');
+  } else if (mode === 'light' || mode === false) {
+    html.classList.add('light');
+  }
+  // else: auto mode, rely on CSS media queries
+}
+
+/* ========== AGGREGATION ========== */
+
+/**
+ * Count events by a key
+ * @param {Array[]} events - [ts, target] pairs
+ * @param {Function} keyOf - Maps an event to its bucket
+ * @returns {Map} Bucket to count
+ */
+function countBy(events, keyOf) {
+  const counts = new Map();
+  for (const event of events) {
+    const key = keyOf(event);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return counts;
+}
+
+/**
+ * Find the local Monday 00:00 of the week containing a timestamp
+ * @param {number} ts - Timestamp
+ * @returns {number} Timestamp of the week's start
+ */
+function weekStart(ts) {
+  const d = new Date(ts);
+  // getDay() is 0 on Sunday; weeks start on Monday
+  return new Date(d.getFullYear(), d.getMonth(), d.getDate() - (d.getDay() + 6) % 7).getTime();
+}
+
+/* ========== CHARTS ========== */
+
+/**
+ * Show a placeholder in an empty chart
+ * @param {HTMLElement} listEl - Chart list element
+ */
+function renderEmpty(listEl) {
+  const li = document.createElement("li");
+  li.className = "empty";
+  li.textContent = getMessageDashboard('statsEmpty') || 'Nothing recorded yet';
+  listEl.appendChild(li);
+}
+
+/**
+ * Render a horizontal bar chart (label, bar, value per row)
+ * @param {HTMLElement} listEl - Chart list element
+ * @param {Array[]} rows - [label, count] pairs, largest first
+ */
+function renderHorizontalBars(listEl, rows) {
+  listEl.innerHTML = "";
+  if (!rows.length) return renderEmpty(listEl);
+  
+  const max = Math.max(...rows.map(([, n]) => n));
+  for (const [label, n] of rows) {
+    const li = document.createElement("li");
+    
+    const name = document.createElement("span");
+    name.className = "label";
+    name.textContent = label;
+    name.title = label;
+    
+    const track = document.createElement("span");
+    track.className = "track";
+    const bar = document.createElement("span");
+    bar.className = "bar";
+    bar.style.width = `${(n / max) * 100}%`;
+    track.appendChild(bar);
+    
+    const value = document.createElement("span");
+    value.className = "value";
+    value.textContent = String(n);
+    
+    li.append(name, track, value);
+    listEl.appendChild(li);
+  }
+}
+
+/**
+ * Render a vertical bar chart (one column per bucket)
+ * @param {HTMLElement} listEl - Chart list element
+ * @param {Array[]} columns - [label, count] pairs in display order
+ */
+function renderVerticalBars(listEl, columns) {
+  listEl.innerHTML = "";
+  const max = Math.max(1, ...columns.map(([, n]) => n));
+  for (const [label, n] of columns) {
+    const li = document.createElement("li");
+    li.title = `${label}: ${n}`;
+    li.setAttribute("aria-label", `${label}: ${n}`);
+    
+    const bar = document.createElement("span");
+    bar.className = "bar";
+    bar.style.height = `${(n / max) * 85}%`;
+    
+    const text = document.createElement("span");
+    text.className = "label";
+    text.textContent = label;
+    
+    li.append(bar, text);
+    listEl.appendChild(li);
+  }
+}
+
+/**
+ * Load the statistics and redraw every chart for the selected range
+ */
+async function renderDashboard() {
+  const { blockStats = {} } = await chrome.storage.local.get("blockStats");
+  const days = parseInt(rangeSelect.value, 10) || 30;
+  const since = Date.now() - days * DAY_MS;
+  const attempts = (blockStats.attempts || []).filter(([ts]) => ts >= since);
+  const snoozes = (blockStats.snoozes || []).filter(([ts]) => ts >= since);
+  
+  const attemptsLabel = getMessageDashboard('statsAttempts') || 'block attempts';
+  const snoozesLabel = getMessageDashboard('statsSnoozeCount') || 'snoozes';
+  summaryEl.textContent = `${attempts.length} ${attemptsLabel} · ${snoozes.length} ${snoozesLabel}`;
+  
+  // Attempts per site, most frequent first
+  const byDomain = [...countBy(attempts, ([, d]) => d)]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_SITES_SHOWN);
+  renderHorizontalBars(document.getElementById("by-domain"), byDomain);
+  
+  // Attempts by local hour of day
+  const byHour = countBy(attempts, ([ts]) => new Date(ts).getHours());
+  renderVerticalBars(document.getElementById("by-hour"),
+    Array.from({ length: 24 }, (_, h) => [String(h).padStart(2, "0"), byHour.get(h) || 0]));
+  
+  // Attempts per week, including weeks without any
+  const byWeek = countBy(attempts, ([ts]) => weekStart(ts));
+  const lang = (dashboardLang || 'en').replace('_', '-');
+  const fmt = new Intl.DateTimeFormat(lang, { month: 'short', day: 'numeric' });
+  const weeks = [];
+  for (let w = weekStart(since); w <= Date.now(); ) {
+    weeks.push([fmt.format(new Date(w)), byWeek.get(w) || 0]);
+    // Step by calendar days so DST changes don't drift the week start
+    const d = new Date(w);
+    w = new Date(d.getFullYear(), d.getMonth(), d.getDate() + 7).getTime();
+  }
+  renderVerticalBars(document.getElementById("by-week"), weeks);
+  
+  // Snoozes per site, with global snoozes under their own label
+  const globalLabel = getMessageDashboard('statsGlobalSnooze') || 'All sites (global snooze)';
+  const bySnooze = [...countBy(snoozes, ([, t]) => t === GLOBAL_SNOOZE_KEY ? globalLabel : t)]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, MAX_SITES_SHOWN);
+  renderHorizontalBars(document.getElementById("snoozes"), bySnooze);
+}
+
+/* ========== INITIALIZATION ========== */
+
+/**
+ * Initialize the dashboard
+ * Loads theme and language preferences, then draws the charts
+ */
+async function initDashboard() {
+  try {
+    const prefs = await chrome.storage.local.get(['darkMode', 'lang']);
+    applyThemeDashboard(prefs.darkMode);
+    dashboardLang = prefs.lang || 'en';
+    await loadLocaleDashboard(dashboardLang);
+  } catch {
+    // Continue with defaults if preferences fail to load
+  }
+  
+  applyI18nDashboard();
+  await renderDashboard();
+}
+
+rangeSelect.addEventListener("change", renderDashboard);
+
+document.getElementById("clear-stats").addEventListener("click", async () => {
+  const question = getMessageDashboard('statsClearConfirm') || 'Delete all recorded block attempts and snoozes?';
+  if (!confirm(question)) return;
+  await chrome.runtime.sendMessage({ cmd: "clearStats" });
+});
+
+// Redraw when new events arrive or preferences change in the popup
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area !== "local") return;
+  if (changes.blockStats) renderDashboard();
+  if (changes.darkMode) applyThemeDashboard(changes.darkMode.newValue);
+  if (changes.lang) {
+    dashboardLang = changes.lang.newValue || 'en';
+    loadLocaleDashboard(dashboardLang).then(() => {
+      applyI18nDashboard();
+      renderDashboard();
+    });
+  }
+});
+
+initDashboard();
\ No newline at end of file
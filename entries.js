@@ -0,0 +1,313 @@
+// FocusGate Blocklist Entries
+// Purpose: Validates, normalizes and compiles blocklist entries
+// Shared by the service worker (importScripts), popup and blocked page (<script>)
+//
+// Entry formats:
+//   example.com            whole site, including subdomains
+//   example.com/path       path prefix (youtube.com/shorts)
+//   example.com/r/*/top    wildcard path, * matches anything
+//   re:example.com/regex   regular expression matched against the path (after the first "/")
+
+const REGEX_ENTRY_PREFIX = "re:";
+const MAX_PATTERN_LENGTH = 1000;
+
+/* ========== DOMAIN VALIDATION ========== */
+
+/**
+ * Validate domain format for security
+ * @param {string} domain - Domain to validate
+ * @returns {boolean} True if valid
+ */
+function isValidDomain(domain) {
+  // Basic validation: no spaces, valid characters, reasonable length
+  if (!domain || domain.length > 253) return false;
+  
+  // Check for valid domain characters (alphanumeric, dots, hyphens)
+  const domainRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
+  
+  // Remove common protocols if present for validation
+  const cleanDomain = domain.replace(/^(https?:\/\/)?(www\.)?/i, '');
+  
+  return domainRegex.test(cleanDomain);
+}
+
+/**
+ * Normalize user input to a clean domain name
+ * Handles URLs, protocols, www prefix, and trailing paths
+ * @param {string} text - User input (domain or URL)
+ * @returns {string} Normalized domain or empty string if invalid
+ */
+function normalizeDomain(text) {
+  const t = (text || "").trim();
+  if (!t) return "";
+  
+  try {
+    // Try to parse as URL (handles full URLs)
+    const url = t.includes("://") ? new URL(t) : new URL("https://" + t);
+    const domain = url.hostname.replace(/^www\./i, "").toLowerCase();
+    
+    // Validate the extracted domain
+    if (!isValidDomain(domain)) {
+      return "";
+    }
+    
+    return domain;
+  } catch {
+    // Fallback: basic cleanup if URL parsing fails
+    const cleaned = t
+      .replace(/^[a-z]+:\/\//i, "") // Remove protocol
+      .replace(/^www\./i, "")       // Remove www
+      .split("/")[0]                // Remove path
+      .toLowerCase();
+    
+    // Validate the cleaned domain
+    if (!isValidDomain(cleaned)) {
+      return "";
+    }
+    
+    return cleaned;
+  }
+}
+
+/**
+ * Build the origin patterns that cover a domain and its subdomains
+ * @param {string} domain - Domain (host of a blocklist entry)
+ * @returns {string[]} Origin match patterns
+ */
+function originPatterns(domain) {
+  return [
+    `https://${domain}/*`,
+    `http://${domain}/*`,
+    `https://*.${domain}/*`,
+    `http://*.${domain}/*`
+  ];
+}
+
+/* ========== ENTRY PARSING ========== */
+
+/**
+ * Split an entry into its host and pattern parts
+ * @param {string} entry - Blocklist entry
+ * @returns {Object|null} { kind: "domain"|"path"|"wildcard"|"regex", host, path } or null
+ */
+function parseEntry(entry) {
+  if (!entry || typeof entry !== "string") return null;
+  
+  if (entry.startsWith(REGEX_ENTRY_PREFIX)) {
+    const body = entry.slice(REGEX_ENTRY_PREFIX.length);
+    const slash = body.indexOf("/");
+    if (slash < 1) return null;
+    return { kind: "regex", host: body.slice(0, slash), path: body.slice(slash + 1) };
+  }
+  
+  const slash = entry.indexOf("/");
+  if (slash === -1) return { kind: "domain", host: entry, path: "" };
+  
+  const path = entry.slice(slash);
+  return { kind: path.includes("*") ? "wildcard" : "path", host: entry.slice(0, slash), path };
+}
+
+/**
+ * Get the hostname an entry applies to (used for permissions and snooze redirects)
+ * @param {string} entry - Blocklist entry
+ * @returns {string} Hostname or empty string if the entry is malformed
+ */
+function entryHost(entry) {
+  return parseEntry(entry)?.host || "";
+}
+
+/**
+ * Validate an already-normalized entry
+ * Regex entries are limited to syntax Chrome's RE2 engine accepts
+ * (no lookarounds or backreferences)
+ * @param {string} entry - Blocklist entry
+ * @returns {boolean} True if valid
+ */
+function isValidEntry(entry) {
+  const parsed = parseEntry(entry);
+  if (!parsed || !isValidDomain(parsed.host) || parsed.host !== parsed.host.toLowerCase()) {
+    return false;
+  }
+  if (parsed.path.length > MAX_PATTERN_LENGTH) return false;
+  
+  switch (parsed.kind) {
+    case "domain":
+      return true;
+    case "path":
+    case "wildcard":
+      // Printable ASCII only, no spaces (urlFilter requirement)
+      return /^\/[\x21-\x7e]*$/.test(parsed.path);
+    case "regex":
+      if (!parsed.path || /\(\?<?[=!]|\\[1-9]/.test(parsed.path)) return false;
+      try {
+        new RegExp(parsed.path);
+        return true;
+      } catch {
+        return false;
+      }
+    default:
+      return false;
+  }
+}
+
+/**
+ * Normalize user input to a blocklist entry
+ * Like normalizeDomain() but keeps the path (query and fragment are dropped),
+ * and passes "re:" entries through with only the host normalized
+ * @param {string} text - User input (domain, URL, path pattern or regex entry)
+ * @returns {string} Normalized entry or empty string if invalid
+ */
+function normalizeEntry(text) {
+  const t = (text || "").trim();
+  if (!t) return "";
+  
+  let entry;
+  if (t.toLowerCase().startsWith(REGEX_ENTRY_PREFIX)) {
+    const body = t.slice(REGEX_ENTRY_PREFIX.length);
+    const slash = body.indexOf("/");
+    if (slash < 1) return "";
+    const host = normalizeDomain(body.slice(0, slash));
+    entry = host ? `${REGEX_ENTRY_PREFIX}${host}/${body.slice(slash + 1)}` : "";
+  } else {
+    const noScheme = t.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "");
+    const cut = noScheme.search(/[/?#]/);
+    const host = normalizeDomain(cut === -1 ? noScheme : noScheme.slice(0, cut));
+    const path = cut === -1 ? "" : noScheme.slice(cut)
+      .replace(/[?#].*$/, "")  // Drop query and fragment
+      .replace(/\/+$/, "");    // Trailing slashes don't change a prefix match
+    entry = host ? host + path : "";
+  }
+  
+  return isValidEntry(entry) ? entry : "";
+}
+
+/* ========== REDIRECT TARGETS ========== */
+// Where a blocked entry sends the tab (domainRedirects in sync storage, keyed by entry):
+// no value = the built-in blocked page, REDIRECT_BLOCK = plain block, otherwise an http(s) URL
+
+const REDIRECT_BLOCK = "block";
+const MAX_REDIRECT_URL_LENGTH = 2000;
+
+/**
+ * Validate and normalize a custom redirect URL
+ * URLs that one of the given entries blocks are refused, since they would redirect forever
+ * @param {string} text - URL as entered
+ * @param {string[]} entries - Blocklist entries the URL must not match
+ * @returns {string} Normalized URL or empty string if invalid
+ */
+function normalizeRedirectUrl(text, entries) {
+  let url;
+  try {
+    url = new URL((text || "").trim());
+  } catch {
+    return "";
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return "";
+  if (url.username || url.password || url.href.length > MAX_REDIRECT_URL_LENGTH) return "";
+  if (entries.some(entry => isValidEntry(entry) && entryToRegExp(entry).test(url.href))) return "";
+  return url.href;
+}
+
+/* ========== RULE COMPILATION ========== */
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Build the DNR condition filter for an entry
+ * Domains use urlFilter "||host^", paths and wildcards "||host/path",
+ * regex entries a regexFilter anchored to the host
+ * @param {string} entry - Valid blocklist entry
+ * @returns {Object} Partial DNR condition ({ urlFilter } or { regexFilter })
+ */
+function entryCondition(entry) {
+  const { kind, host, path } = parseEntry(entry);
+  switch (kind) {
+    case "domain":
+      return { urlFilter: `||${host}^` };
+    case "regex":
+      return {
+        regexFilter: `^https?://([^/?#]*\\.)?${escapeRegExp(host)}(:[0-9]+)?/(?:${path})`,
+        isUrlFilterCaseSensitive: false
+      };
+    default:
+      return { urlFilter: `||${host}${path}`, isUrlFilterCaseSensitive: false };
+  }
+}
+
+/**
+ * Check that Chrome can compile an entry into a rule
+ * One unsupported regex would make the whole rule update fail, so skip it instead
+ * @param {string} entry - Blocklist entry
+ * @returns {boolean} True if the entry can be turned into a rule
+ */
+async function isEntrySupported(entry) {
+  if (!isValidEntry(entry)) return false;
+  const { regexFilter } = entryCondition(entry);
+  if (!regexFilter) return true;
+  
+  try {
+    const { isSupported } = await chrome.declarativeNetRequest.isRegexSupported({
+      regex: regexFilter,
+      isCaseSensitive: false
+    });
+    return isSupported;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Approximate an entry's DNR matching with a JavaScript RegExp (for previews)
+ * @param {string} entry - Valid blocklist entry
+ * @returns {RegExp} Case-insensitive expression tested against full URLs
+ */
+function entryToRegExp(entry) {
+  const cond = entryCondition(entry);
+  if (cond.regexFilter) return new RegExp(cond.regexFilter, "i");
+  
+  // urlFilter syntax: "||" = any scheme and subdomain, "*" = anything, "^" = separator
+  const body = cond.urlFilter.slice(2).split("").map(ch => {
+    if (ch === "*") return ".*";
+    if (ch === "^") return "(?:[^\\w\\-.%]|$)";
+    return escapeRegExp(ch);
+  }).join("");
+  return new RegExp(`^[a-z][a-z0-9+.-]*://([^/?#]*\\.)?${body}`, "i");
+}
+
+/**
+ * Build a regexFilter matching the same URLs as an entry, through to the end of the URL
+ * A redirect's regexSubstitution can then pass the whole original URL on with \0
+ * @param {string} entry - Valid blocklist entry
+ * @returns {string} RE2 pattern (use with isUrlFilterCaseSensitive: false)
+ */
+function entryUrlRegexFilter(entry) {
+  return `${entryToRegExp(entry).source}.*`;
+}
+
+/**
+ * Example URLs that illustrate what an entry blocks (and what it leaves alone)
+ * @param {string} entry - Valid blocklist entry
+ * @returns {string[]} Sample URLs
+ */
+function entrySampleUrls(entry) {
+  const { kind, host, path } = parseEntry(entry);
+  switch (kind) {
+    case "domain":
+      return [`https://${host}/`, `https://www.${host}/some/page`, `https://sub.${host}/`];
+    case "path":
+      return [`https://${host}${path}`, `https://www.${host}${path}/example`, `https://${host}/`];
+    case "wildcard": {
+      const filled = path.replace(/\*/g, "example");
+      return [`https://${host}${filled}`, `https://www.${host}${filled}?q=1`, `https://${host}/`];
+    }
+    default:
+      return [`https://${host}/`, `https://www.${host}/`];
+  }
+}
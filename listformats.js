@@ -0,0 +1,206 @@
+// FocusGate List Formats
+// Purpose: Parses and writes shared blocklists in common formats
+// Used by the popup's import/export (<script>, after entries.js)
+//
+// Formats:
+//   text     one entry per line            example.com
+//   hosts    hosts file                    0.0.0.0 example.com
+//   csv      first column, optional header domain,note
+//   adblock  network filters               ||example.com^
+// "#" and "!" start comment lines; lines may mix formats
+
+const LIST_FORMATS = ["text", "hosts", "csv", "adblock"];
+
+// Names hosts files map to themselves; never worth blocking
+const HOSTS_SKIP = new Set(["localhost", "localhost.localdomain", "local", "broadcasthost", "ip6-localhost", "ip6-loopback", "0.0.0.0"]);
+
+// Addresses hosts-file blocklists point blocked names at
+const HOSTS_ADDRESS = /^(0\.0\.0\.0|127\.0\.0\.1|::1?|0)$/;
+
+// CSV header cells that name the entry column
+const CSV_HEADERS = new Set(["domain", "domains", "host", "hostname", "site", "url", "entry"]);
+
+/* ========== PARSING ========== */
+
+/**
+ * Split one CSV line into cells (handles quotes and "" escapes)
+ * @param {string} line - CSV line
+ * @param {string} sep - Separator ("," ";" or tab)
+ * @returns {string[]} Cells
+ */
+function splitCsvLine(line, sep) {
+  const cells = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === sep) {
+      cells.push(cell);
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  cells.push(cell);
+  return cells.map(c => c.trim());
+}
+
+/**
+ * Turn one adblock network filter into a blocklist candidate
+ * Only "||host^" and "||host/path" filters map onto entries; options ($...) are ignored
+ * @param {string} filter - Filter text starting with "||"
+ * @returns {string} Candidate entry text, or empty string if unsupported
+ */
+function adblockFilterToText(filter) {
+  const body = filter.slice(2).replace(/\$.*$/, "");
+  // "^" marks a separator: at the end it just ends the host or path
+  const text = body.replace(/\^\|?$/, "");
+  return text.includes("^") ? "" : text;
+}
+
+/**
+ * Work out the candidates on one line of a shared list
+ * @param {string} line - Trimmed, non-empty line
+ * @param {Object} ctx - { csvSep } detected for the file
+ * @returns {Object} { kind: "comment"|"entries"|"unsupported", format, candidates }
+ */
+function classifyListLine(line, ctx) {
+  if (/^(#|!|\/\/|\[)/.test(line)) return { kind: "comment" };
+  
+  // Adblock rules other than plain blocking filters (exceptions, cosmetic, regex)
+  if (line.startsWith("@@") || /#[@?$]?#/.test(line) || /^\/.*\/(\$.*)?$/.test(line)) {
+    return { kind: "unsupported", format: "adblock" };
+  }
+  if (line.startsWith("||")) {
+    const text = adblockFilterToText(line);
+    return text
+      ? { kind: "entries", format: "adblock", candidates: [text] }
+      : { kind: "unsupported", format: "adblock" };
+  }
+  
+  // Hosts file: address followed by one or more names, then an optional comment
+  const words = line.replace(/\s#.*$/, "").split(/\s+/);
+  if (words.length > 1 && HOSTS_ADDRESS.test(words[0])) {
+    const names = words.slice(1).filter(n => !HOSTS_SKIP.has(n.toLowerCase()));
+    return names.length ? { kind: "entries", format: "hosts", candidates: names } : { kind: "comment" };
+  }
+  
+  if (ctx.csvSep && line.includes(ctx.csvSep)) {
+    const [first] = splitCsvLine(line, ctx.csvSep);
+    if (CSV_HEADERS.has(first.toLowerCase())) return { kind: "comment" };
+    return { kind: "entries", format: "csv", candidates: [first] };
+  }
+  
+  // Plain text; a lone CSV header (single-column files) is not an entry
+  const value = line.replace(/\s#.*$/, "").replace(/^"(.*)"$/, "$1");
+  if (CSV_HEADERS.has(value.toLowerCase())) return { kind: "comment" };
+  return { kind: "entries", format: "text", candidates: [value] };
+}
+
+/**
+ * Parse a shared blocklist in any supported format
+ * @param {string} text - File contents
+ * @returns {Object} {
+ *   format,                        most common format among the lines
+ *   entries,                       normalized, unique entries in file order
+ *   duplicates: [{ line, text }],  entries seen earlier in the file
+ *   invalid: [{ line, text }],     lines that aren't valid or supported entries
+ *   comments                       number of comment and header lines skipped
+ * }
+ */
+function parseBlocklistText(text) {
+  const lines = String(text || "").replace(/^\uFEFF/, "").split(/\r?\n/);
+  
+  // A separator on most non-comment lines means CSV
+  const content = lines.map(l => l.trim()).filter(l => l && !/^(#|!)/.test(l));
+  const csvSep = [",", ";", "\t"].find(sep =>
+    content.length && content.filter(l => l.includes(sep)).length >= content.length / 2) || "";
+  
+  const result = { format: "text", entries: [], duplicates: [], invalid: [], comments: 0 };
+  const seen = new Set();
+  const formatVotes = {};
+  
+  lines.forEach((raw, index) => {
+    const line = raw.trim();
+    if (!line) return;
+    const lineNo = index + 1;
+    const { kind, format, candidates } = classifyListLine(line, { csvSep });
+    if (format) formatVotes[format] = (formatVotes[format] || 0) + 1;
+    
+    if (kind === "comment") {
+      result.comments++;
+      return;
+    }
+    if (kind === "unsupported") {
+      result.invalid.push({ line: lineNo, text: line });
+      return;
+    }
+    for (const candidate of candidates) {
+      const entry = normalizeEntry(candidate);
+      if (!entry) {
+        result.invalid.push({ line: lineNo, text: candidate });
+      } else if (seen.has(entry)) {
+        result.duplicates.push({ line: lineNo, text: entry });
+      } else {
+        seen.add(entry);
+        result.entries.push(entry);
+      }
+    }
+  });
+  
+  const ranked = Object.entries(formatVotes).sort((a, b) => b[1] - a[1]);
+  if (ranked.length) result.format = ranked[0][0];
+  return result;
+}
+
+/* ========== WRITING ========== */
+
+/**
+ * Write a blocklist in one of the shared formats
+ * Hosts files can only hold whole domains; adblock filters can't hold regex entries
+ * @param {string[]} entries - Blocklist entries
+ * @param {string} format - One of LIST_FORMATS
+ * @returns {Object} { text, skipped } where skipped lists entries the format can't express
+ */
+function serializeBlocklist(entries, format) {
+  const lines = [];
+  const skipped = [];
+  const header = `FocusGate blocklist, exported ${new Date().toISOString().slice(0, 10)}`;
+  
+  switch (format) {
+    case "hosts":
+      lines.push(`# ${header}`);
+      for (const e of entries) {
+        if (parseEntry(e)?.kind === "domain") lines.push(`0.0.0.0 ${e}`); else skipped.push(e);
+      }
+      break;
+    case "adblock":
+      lines.push(`! ${header}`);
+      for (const e of entries) {
+        const parsed = parseEntry(e);
+        if (!parsed || parsed.kind === "regex") skipped.push(e);
+        else lines.push(parsed.kind === "domain" ? `||${e}^` : `||${e}`);
+      }
+      break;
+    case "csv":
+      lines.push("domain");
+      // Quote cells that would otherwise break the row (regex entries may hold commas or quotes)
+      for (const e of entries) lines.push(/[",;\s]/.test(e) ? `"${e.replace(/"/g, '""')}"` : e);
+      break;
+    default:
+      lines.push(`# ${header}`, ...entries);
+  }
+  
+  return { text: lines.join("\n") + "\n", skipped };
+}
\ No newline at end of file
@@ -0,0 +1,505 @@
+// FocusGate Options Page
+// Purpose: Full-page management of large blocklists (search, sort, bulk actions, inline edits)
+// Storage goes through blocklist.js, like the popup; rule updates via the syncRules message
+
+const rowsEl = document.getElementById("rows");
+const searchInput = document.getElementById("search");
+const sortSelect = document.getElementById("sort");
+const selectAllBox = document.getElementById("select-all");
+const statusEl = document.getElementById("status");
+const addForm = document.getElementById("add-form");
+const domainInput = document.getElementById("domain-input");
+
+// Entries ticked for bulk actions
+const selected = new Set();
+
+// Entry whose inline editor is open (null when none)
+let editing = null;
+
+// Entries currently shown (after search), for "select all"
+let shown = [];
+
+// Pending render while storage changes are being coalesced
+let renderQueued = null;
+
+/* ========== INTERNATIONALIZATION ========== */
+
+// Locale data loaded from _locales directory
+let optionsLocale = null;
+
+// Language used for dates
+let optionsLang = 'en';
+
+/**
+ * Load locale messages for the options page
+ * @param {string} lang - Locale code (e.g. 'en', 'es', 'fr')
+ */
+async function loadLocaleOptions(lang) {
+  try {
+    const url = chrome.runtime.getURL(`_locales/${lang}/messages.json`);
+    const res = await fetch(url);
+    optionsLocale = res.ok ? await res.json() : null;
+  } catch {
+    // Failed to load locale, will fall back to chrome.i18n
+    optionsLocale = null;
+  }
+}
+
+/**
+ * Get translated message for a key
+ * @param {string} key - Message identifier
+ * @returns {string} Translated message or empty string
+ */
+function getMessageOptions(key) {
+  if (optionsLocale && optionsLocale[key] && optionsLocale[key].message) {
+    return optionsLocale[key].message;
+  }
+  if (chrome?.i18n) {
+    return chrome.i18n.getMessage(key) || '';
+  }
+  return '';
+}
+
+/**
+ * Apply translations to all static text on the options page
+ */
+function applyI18nOptions() {
+  const set = (id, key) => {
+    const el = document.getElementById(id);
+    const msg = getMessageOptions(key);
+    if (el && msg) el.textContent = msg;
+  };
+  set("opt-title", "optionsTitle");
+  set("opt-mode-note", "optionsAllowModeNote");
+  set("add-label", "addLabel");
+  set("add-btn", "optionsAdd");
+  set("bulk-snooze-15", "optionsSnooze15");
+  set("bulk-snooze-60", "optionsSnooze60");
+  set("bulk-resume", "resume");
+  set("bulk-remove", "remove");
+  set("col-entry", "optionsColumnEntry");
+  set("col-added", "optionsColumnAdded");
+  set("col-status", "optionsColumnStatus");
+  
+  const searchMsg = getMessageOptions("listFilter");
+  if (searchMsg) {
+    searchInput.placeholder = searchMsg;
+    searchInput.setAttribute("aria-label", searchMsg);
+  }
+  
+  const sortLabels = {
+    "name": "optionsSortName",
+    "name-desc": "optionsSortNameDesc",
+    "newest": "optionsSortNewest",
+    "oldest": "optionsSortOldest"
+  };
+  for (const opt of sortSelect.options) {
+    const msg = getMessageOptions(sortLabels[opt.value]);
+    if (msg) opt.textContent = msg;
+  }
+  
+  const title = getMessageOptions('optionsTitle');
+  if (title) document.title = title;
+}
+
+/* ========== THEME MANAGEMENT ========== */
+
+/**
+ * Apply theme based on user preference
+ * @param {string|boolean|undefined} mode - Theme mode
+ */
+function applyThemeOptions(mode) {
+  const html = document.documentElement;
+  html.classList.remove('dark');
+  html.classList.remove('light');
+  
+  if (mode === 'dark' || mode === true) {
+    html.classList.add('dark');
+  } else if (mode === 'light' || mode === false) {
+    html.classList.add('light');
+  }
+  // else: auto mode, rely on CSS media queries
+}
+
+/* ========== UI RENDERING ========== */
+
+/**
+ * Shake an input to signal invalid text
+ * @param {HTMLElement} el - Input element
+ */
+function rejectInput(el) {
+  el.style.borderColor = 'var(--danger)';
+  el.classList.add('shake');
+  setTimeout(() => {
+    el.style.borderColor = '';
+    el.classList.remove('shake');
+  }, 500);
+}
+
+/**
+ * Format a timestamp as a local date, or a time if it's today
+ * @param {number} ts - Timestamp
+ * @returns {string} Formatted date
+ */
+function formatWhen(ts) {
+  const lang = optionsLang.replace('_', '-');
+  const sameDay = new Date(ts).toDateString() === new Date().toDateString();
+  return new Date(ts).toLocaleString(lang, sameDay
+    ? { hour: '2-digit', minute: '2-digit' }
+    : { year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/**
+ * Explain a command the service worker refused
+ * @param {Object} res - { error, code, availableAt }
+ * @returns {string} Message for the status line
+ */
+function refusalText(res) {
+  if (res?.code?.startsWith("PIN_")) return pinRefusalText(res);
+  if (res?.code !== "LOCKED") return res?.error || "";
+  const lang = optionsLang.replace('_', '-');
+  const until = new Date(res.availableAt).toLocaleString(lang, { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+  return `🔒 ${getMessageOptions('lockedUntil') || 'Locked until'} ${until}`;
+}
+
+/**
+ * Sort entries by the selected order
+ * Entries added before dates were recorded count as oldest
+ * @param {string[]} entries - Entries to sort
+ * @param {Object} addedAt - Map of entry to timestamp
+ * @returns {string[]} Sorted copy
+ */
+function sortEntries(entries, addedAt) {
+  const byName = (a, b) => a.localeCompare(b);
+  const byDate = (a, b) => (addedAt[a] || 0) - (addedAt[b] || 0) || byName(a, b);
+  switch (sortSelect.value) {
+    case "name-desc": return [...entries].sort((a, b) => byName(b, a));
+    case "newest": return [...entries].sort((a, b) => byDate(b, a));
+    case "oldest": return [...entries].sort(byDate);
+    default: return [...entries].sort(byName);
+  }
+}
+
+/**
+ * Save an inline edit, asking for site access first when the host changes
+ * @param {string} from - Entry being edited
+ * @param {HTMLInputElement} input - Editor input
+ */
+async function saveEdit(from, input) {
+  const to = normalizeEntry(input.value);
+  if (to === from) {
+    editing = null;
+    return render();
+  }
+  if (!to || !(await isEntrySupported(to))) return rejectInput(input);
+  
+  const current = await getBlocked();
+  if (current.includes(to)) {
+    statusEl.textContent = getMessageOptions('optionsDuplicate') || 'That entry is already on the list';
+    return rejectInput(input);
+  }
+  
+  if (entryHost(to) !== entryHost(from)) {
+    let granted = false;
+    try {
+      granted = await requestOriginPermission(entryHost(to));
+    } catch {
+      // Permission request failed, keep the old entry
+    }
+    if (!granted) {
+      statusEl.textContent = getMessageOptions('optionsPermissionDenied') || 'Chrome did not grant access to that site';
+      return;
+    }
+  }
+  
+  const res = await renameBlocked(from, to);
+  if (!res?.ok) {
+    statusEl.textContent = refusalText(res);
+    return;
+  }
+  editing = null;
+  if (selected.delete(from)) selected.add(to);
+  await render();
+}
+
+/**
+ * Create a table row for a blocked entry
+ * @param {string} entry - Blocked entry
+ * @param {number} addedAt - When it was added (0 if unknown)
+ * @param {number} pausedUntilTs - Snooze expiry (0 if not snoozed)
+ * @returns {HTMLElement} Table row
+ */
+function entryRow(entry, addedAt, pausedUntilTs) {
+  const tr = document.createElement("tr");
+  tr.className = selected.has(entry) ? "selected" : "";
+  
+  // Selection checkbox
+  const checkCell = document.createElement("td");
+  checkCell.className = "check";
+  const box = document.createElement("input");
+  box.type = "checkbox";
+  box.checked = selected.has(entry);
+  box.setAttribute("aria-label", entry);
+  box.onchange = () => {
+    if (box.checked) selected.add(entry); else selected.delete(entry);
+    tr.className = box.checked ? "selected" : "";
+    updateSelection();
+  };
+  checkCell.appendChild(box);
+  
+  // Entry text, or the inline editor
+  const entryCell = document.createElement("td");
+  entryCell.className = "entry";
+  if (editing === entry) {
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = entry;
+    input.setAttribute("aria-label", getMessageOptions('optionsEdit') || 'Edit');
+    input.onkeydown = (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        saveEdit(entry, input);
+      } else if (e.key === "Escape") {
+        editing = null;
+        render();
+      }
+    };
+    entryCell.appendChild(input);
+    setTimeout(() => input.focus(), 0);
+  } else {
+    entryCell.textContent = entry;
+    entryCell.ondblclick = () => {
+      editing = entry;
+      render();
+    };
+  }
+  
+  const addedCell = document.createElement("td");
+  addedCell.className = "added";
+  addedCell.textContent = addedAt ? formatWhen(addedAt) : "—";
+  
+  const statusCell = document.createElement("td");
+  statusCell.className = "status";
+  if (pausedUntilTs && pausedUntilTs > Date.now()) {
+    statusCell.textContent = `${getMessageOptions('optionsSnoozedUntil') || 'Snoozed until'} ${formatWhen(pausedUntilTs)}`;
+  }
+  
+  // Row actions
+  const actions = document.createElement("td");
+  actions.className = "actions";
+  const edit = document.createElement("button");
+  edit.className = "ghost btn-mini";
+  edit.textContent = editing === entry ? "✓" : "✎";
+  edit.title = editing === entry
+    ? (getMessageOptions('scheduleSave') || 'Save')
+    : (getMessageOptions('optionsEdit') || 'Edit');
+  edit.setAttribute("aria-label", `${edit.title} ${entry}`);
+  edit.onclick = () => {
+    if (editing === entry) {
+      saveEdit(entry, entryCell.querySelector("input"));
+    } else {
+      editing = entry;
+      render();
+    }
+  };
+  const remove = document.createElement("button");
+  remove.className = "danger btn-mini";
+  remove.textContent = getMessageOptions('remove') || 'Remove';
+  remove.setAttribute("aria-label", `${remove.textContent} ${entry}`);
+  remove.onclick = async () => {
+    const res = await removeBlocked([entry]);
+    if (!res?.ok) {
+      statusEl.textContent = refusalText(res);
+      return;
+    }
+    selected.delete(entry);
+  };
+  actions.append(edit, remove);
+  
+  tr.append(checkCell, entryCell, addedCell, statusCell, actions);
+  return tr;
+}
+
+/**
+ * Update the selection count, bulk buttons and "select all" box
+ */
+function updateSelection() {
+  const count = selected.size;
+  document.getElementById("selected-count").textContent =
+    `${count} ${getMessageOptions('optionsSelected') || 'selected'}`;
+  for (const id of ["bulk-snooze-15", "bulk-snooze-60", "bulk-resume", "bulk-remove"]) {
+    document.getElementById(id).disabled = count === 0;
+  }
+  const shownSelected = shown.filter(d => selected.has(d)).length;
+  selectAllBox.checked = shown.length > 0 && shownSelected === shown.length;
+  selectAllBox.indeterminate = shownSelected > 0 && shownSelected < shown.length;
+}
+
+/**
+ * Render the blocklist table for the current search and sort order
+ */
+async function render() {
+  const [
+    { blockedDomains = [], activeProfile = "Default", blockMode = "block" },
+    { pausedDomains = {}, domainAddedAt = {} }
+  ] = await Promise.all([
+    readSync(["blockedDomains", "activeProfile", "blockMode"]),
+    chrome.storage.local.get(["pausedDomains", "domainAddedAt"])
+  ]);
+  
+  document.getElementById("opt-profile").textContent =
+    `${getMessageOptions('profileTitle') || 'Profile'}: ${activeProfile} · ${blockedDomains.length}`;
+  document.getElementById("opt-mode-note").hidden = blockMode !== "allow";
+  
+  // Selections of removed entries no longer apply
+  for (const d of selected) {
+    if (!blockedDomains.includes(d)) selected.delete(d);
+  }
+  if (editing && !blockedDomains.includes(editing)) editing = null;
+  
+  const query = searchInput.value.trim().toLowerCase();
+  shown = sortEntries(blockedDomains.filter(d => !query || d.toLowerCase().includes(query)), domainAddedAt);
+  
+  // Build off-screen, then swap in one go
+  const frag = document.createDocumentFragment();
+  for (const d of shown) {
+    frag.appendChild(entryRow(d, domainAddedAt[d] || 0, pausedDomains[d] || 0));
+  }
+  if (!shown.length) {
+    const tr = document.createElement("tr");
+    const td = document.createElement("td");
+    td.colSpan = 5;
+    td.className = "empty";
+    td.textContent = blockedDomains.length
+      ? (getMessageOptions('optionsNoMatches') || 'No entries match your search')
+      : (getMessageOptions('noDomains') || 'No domains yet');
+    tr.appendChild(td);
+    frag.appendChild(tr);
+  }
+  rowsEl.replaceChildren(frag);
+  updateSelection();
+}
+
+/**
+ * Coalesce bursts of storage changes into a single render
+ * @returns {Promise} Resolves after the render
+ */
+function scheduleRender() {
+  if (!renderQueued) {
+    renderQueued = new Promise(resolve => requestAnimationFrame(resolve)).then(() => {
+      renderQueued = null;
+      return render();
+    });
+  }
+  return renderQueued;
+}
+
+/* ========== BULK ACTIONS ========== */
+
+/**
+ * Send a per-domain command for every selected entry and report refusals
+ * @param {Object} msg - Message without the domain (e.g. { cmd: "pauseDomain", minutes: 15 })
+ */
+async function bulkCommand(msg) {
+  let refused = 0;
+  let lastError = "";
+  for (const domain of [...selected]) {
+    const res = await sendProtected({ ...msg, domain });
+    if (!res?.ok) {
+      refused++;
+      lastError = refusalText(res);
+    }
+  }
+  const done = selected.size - refused;
+  const doneMsg = getMessageOptions('optionsBulkDone') || 'Done';
+  statusEl.textContent = refused
+    ? `${doneMsg}: ${done} · ${getMessageOptions('optionsBulkRefused') || 'refused'}: ${refused} (${lastError})`
+    : `${doneMsg}: ${done}`;
+}
+
+document.getElementById("bulk-snooze-15").onclick = () => bulkCommand({ cmd: "pauseDomain", minutes: 15 });
+document.getElementById("bulk-snooze-60").onclick = () => bulkCommand({ cmd: "pauseDomain", minutes: 60 });
+document.getElementById("bulk-resume").onclick = () => bulkCommand({ cmd: "resumeDomain" });
+
+document.getElementById("bulk-remove").onclick = async () => {
+  const question = getMessageOptions('optionsRemoveConfirm') || 'Remove the selected entries?';
+  if (!confirm(`${question} (${selected.size})`)) return;
+  const res = await removeBlocked([...selected]);
+  if (!res?.ok) {
+    statusEl.textContent = refusalText(res);
+    return;
+  }
+  selected.clear();
+  await render();
+};
+
+selectAllBox.onchange = () => {
+  for (const d of shown) {
+    if (selectAllBox.checked) selected.add(d); else selected.delete(d);
+  }
+  render();
+};
+
+/* ========== EVENT HANDLERS ========== */
+
+searchInput.addEventListener("input", () => { render(); });
+sortSelect.addEventListener("change", async () => {
+  await chrome.storage.local.set({ optionsSort: sortSelect.value });
+  await render();
+});
+
+// Add an entry (same flow as the popup: shown at once, removed if permission is denied)
+addForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  const d = normalizeEntry(domainInput.value);
+  if (!d || !(await isEntrySupported(d))) return rejectInput(domainInput);
+  
+  if (await addBlockedWithPermission(d)) {
+    domainInput.value = "";
+  } else {
+    statusEl.textContent = getMessageOptions('optionsPermissionDenied') || 'Chrome did not grant access to that site';
+  }
+  domainInput.focus();
+});
+
+// Keep in step with the popup and the service worker
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (syncValueChanged(changes, area, ["blockedDomains"]) || (area === "sync" && (changes.activeProfile || changes.blockMode))) {
+    scheduleRender();
+  }
+  if (area === "local") {
+    if (changes.pausedDomains || changes.domainAddedAt) scheduleRender();
+    if (changes.darkMode) applyThemeOptions(changes.darkMode.newValue);
+    if (changes.lang) {
+      optionsLang = changes.lang.newValue || 'en';
+      loadLocaleOptions(optionsLang).then(() => {
+        applyI18nOptions();
+        render();
+      });
+    }
+  }
+});
+
+/* ========== INITIALIZATION ========== */
+
+/**
+ * Initialize the options page
+ * Loads theme, language and sort preferences, then renders the table
+ */
+async function initOptions() {
+  try {
+    const prefs = await chrome.storage.local.get(['darkMode', 'lang', 'optionsSort']);
+    applyThemeOptions(prefs.darkMode);
+    optionsLang = prefs.lang || 'en';
+    if (prefs.optionsSort) sortSelect.value = prefs.optionsSort;
+    await loadLocaleOptions(optionsLang);
+  } catch {
+    // Continue with defaults if preferences fail to load
+  }
+  
+  applyI18nOptions();
+  configureUnlock(getMessageOptions);
+  await render();
+}
+
+initOptions();
\ No newline at end of file
@@ -7,16 +7,95 @@ const domainInput = document.getElementById("domain-input");
 const addForm = document.getElementById("add-form");
 const listEl = document.getElementById("list");
 const statusEl = document.getElementById("status");
+const syncWarningEl = document.getElementById("sync-warning");
+const ruleWarningEl = document.getElementById("rule-warning");
 const resumeBtn = document.getElementById("resume-btn");
 const exportBtn = document.getElementById("export-btn");
+const exportFormatSelect = document.getElementById("export-format");
 const importBtn = document.getElementById("import-btn");
 const importFile = document.getElementById("import-file");
+const importDialog = document.getElementById("import-dialog");
+const importSummaryEl = document.getElementById("import-summary");
+const importBodyEl = document.getElementById("import-body");
+const importToggleBtn = document.getElementById("import-toggle");
+const importCancelBtn = document.getElementById("import-cancel");
+const importConfirmBtn = document.getElementById("import-confirm");
 const themeToggleBtn = document.getElementById("theme-toggle");
 const languageSelect = document.getElementById("language-select");
+const sessionFields = document.querySelector(".session-fields");
+const sessionStartBtn = document.getElementById("session-start");
+const sessionStopBtn = document.getElementById("session-stop");
+const sessionStatusEl = document.getElementById("session-status");
+const modeBlockBtn = document.getElementById("mode-block");
+const modeAllowBtn = document.getElementById("mode-allow");
+const previewEl = document.getElementById("pattern-preview");
+const profileSelect = document.getElementById("profile-select");
+const budgetResetInput = document.getElementById("budget-reset");
+const frictionSelect = document.getElementById("friction-select");
+const snoozePerDayInput = document.getElementById("snooze-per-day");
+const snoozeCooldownInput = document.getElementById("snooze-cooldown");
+const snoozeAllowanceEl = document.getElementById("snooze-allowance");
+const listFilterInput = document.getElementById("list-filter");
+const lockUntilInput = document.getElementById("lock-until");
+const lockStartBtn = document.getElementById("lock-start");
+const lockStatusEl = document.getElementById("lock-status");
+const pinForm = document.getElementById("pin-form");
+const pinNewInput = document.getElementById("pin-new");
+const pinRepeatInput = document.getElementById("pin-repeat");
+const pinSetBtn = document.getElementById("pin-set");
+const pinRemoveBtn = document.getElementById("pin-remove");
+const pinRecoverBtn = document.getElementById("pin-recover");
+const pinStatusEl = document.getElementById("pin-status");
+const shortcutListEl = document.getElementById("shortcut-list");
+const currentSiteEl = document.getElementById("current-site");
+const intentionInput = document.getElementById("intention-input");
+const quotesFile = document.getElementById("quotes-file");
+const quotesClearBtn = document.getElementById("quotes-clear");
+const quotesStatusEl = document.getElementById("quotes-status");
+
+// Name of the profile used before any profile was created (matches sw.js)
+const DEFAULT_PROFILE = "Default";
 
 // Internationalization support
 let i18nMessages = null; // Holds loaded locale messages
 
+// Snooze challenges shown on the blocked page (matches blocked.js)
+const FRICTION_TYPES = ["none", "countdown", "phrase", "reason"];
+
+// Limits for the blocked page's personal texts (intention and notes are synced, quotes local)
+const MAX_INTENTION_LENGTH = 200;
+const MAX_NOTE_LENGTH = 500;
+const MAX_QUOTES = 500;
+const MAX_QUOTE_LENGTH = 300;
+
+// Import waiting for confirmation while the preview dialog is open (see buildImportPreview)
+let importPreview = null;
+
+// Per-domain settings editor state: { domain, windows, friction } while a domain's panel is open
+let scheduleEditor = null;
+
+// Domain whose "add exception" field is open (null when closed)
+let exceptionEditor = null;
+
+// Rendered list rows by key, reused while their content is unchanged: key -> { sig, nodes }
+const rowCache = new Map();
+
+// Pending render while storage changes are being coalesced
+let renderQueued = null;
+
+// Focus session as last read from storage (drives the once-a-second countdown)
+let currentSession = null;
+
+// End of the global snooze, and the status text last shown for it (drive its countdown)
+let currentPauseUntil = 0;
+let pauseStatusText = "";
+
+// "block" (blocklist) or "allow" (block everything except the allowlist)
+let currentMode = "block";
+
+// Domain of the active tab, read once when the popup opens ("" for non-web tabs)
+let currentTabHost = "";
+
 /* ========== INTERNATIONALIZATION (i18n) ========== */
 
 /**
@@ -78,6 +157,71 @@ function applyI18n() {
   set("list-help", "blockedListHelp");
   set("ie-title", "importExportTitle");
   set("per-site-info", "perSiteInfo");
+  set("session-title", "sessionTitle");
+  set("session-work-label", "sessionWork");
+  set("session-short-label", "sessionShortBreak");
+  set("session-long-label", "sessionLongBreak");
+  set("session-cycles-label", "sessionCycles");
+  set("session-start", "sessionStart");
+  set("session-stop", "sessionStop");
+  set("mode-title", "modeTitle");
+  set("mode-block", "modeBlock");
+  set("mode-allow", "modeAllow");
+  set("mode-help", "modeHelp");
+  set("profile-title", "profileTitle");
+  set("budget-reset-label", "budgetResetLabel");
+  set("friction-label", "frictionLabel");
+  set("snooze-per-day-label", "snoozePerDay");
+  set("snooze-cooldown-label", "snoozeCooldownMinutes");
+  set("manage-all", "manageAll");
+  set("lock-title", "lockTitle");
+  set("lock-until-label", "lockUntil");
+  set("pin-title", "pinTitle");
+  set("pin-status", "pinHelp");
+  set("pin-remove", "pinRemove");
+  set("pin-recover", "pinForgot");
+  set("blocked-page-title", "blockedPageSettings");
+  set("sync-warning", "syncWarning");
+  set("quotes-load", "quotesLoad");
+  set("quotes-clear", "quotesClear");
+  set("shortcuts-title", "shortcutsTitle");
+  set("shortcuts-edit", "shortcutsEdit");
+  
+  const placeholder = (id, key) => {
+    const el = document.getElementById(id);
+    const msg = getMessage(key);
+    if (el && msg) {
+      el.placeholder = msg;
+      el.setAttribute("aria-label", msg);
+    }
+  };
+  placeholder("pin-new", "pinNew");
+  placeholder("pin-repeat", "pinRepeat");
+  placeholder("intention-input", "intentionPlaceholder");
+  
+  const filterMsg = getMessage("listFilter");
+  if (filterMsg) {
+    listFilterInput.placeholder = filterMsg;
+    listFilterInput.setAttribute("aria-label", filterMsg);
+  }
+  
+  // Cached rows hold text in the previous language
+  rowCache.clear();
+  
+  // Icon-only profile buttons: translate their accessible names
+  const label = (id, key) => {
+    const el = document.getElementById(id);
+    const msg = getMessage(key);
+    if (el && msg) {
+      el.title = msg;
+      el.setAttribute("aria-label", msg);
+    }
+  };
+  label("profile-new", "profileNew");
+  label("profile-duplicate", "profileDuplicate");
+  label("profile-rename", "profileRename");
+  label("profile-delete", "profileDelete");
+  label("stats-btn", "statsOpen");
   
   // Update button labels
   const exportMsg = getMessage("export");
@@ -86,6 +230,17 @@ function applyI18n() {
   const importMsg = getMessage("import");
   if (importMsg) importBtn.textContent = importMsg;
   
+  const importTitleMsg = getMessage("importTitle");
+  if (importTitleMsg) document.getElementById("import-title").textContent = importTitleMsg;
+  
+  const exportFormatMsg = getMessage("exportFormat");
+  if (exportFormatMsg) exportFormatSelect.setAttribute("aria-label", exportFormatMsg);
+  const formatKeys = { json: "formatJson", text: "formatText", hosts: "formatHosts", csv: "formatCsv", adblock: "formatAdblock" };
+  for (const option of exportFormatSelect.options) {
+    const m = getMessage(formatKeys[option.value]);
+    if (m) option.textContent = m;
+  }
+  
   const resumeMsg = getMessage("resume");
   if (resumeMsg) resumeBtn.textContent = resumeMsg;
   
@@ -138,124 +293,175 @@ function updateThemeIcon(isDark) {
   themeToggleBtn.textContent = isDark ? '☀️' : '🌙';
 }
 
-/* ========== DOMAIN VALIDATION ========== */
+/* ========== STORAGE OPERATIONS ========== */
+// getBlocked(), setBlocked() and the permission helpers live in blocklist.js
 
 /**
- * Validate domain format for security
- * @param {string} domain - Domain to validate
- * @returns {boolean} True if valid
+ * Update the exceptions (hosts or paths left reachable) of a blocked entry
+ * @param {string} domain - Blocked entry the exceptions belong to
+ * @param {string[]} exceptions - New list of exception entries
+ * @returns {Promise<boolean>} True if saved (false if refused, see saveSettings())
  */
-function isValidDomain(domain) {
-  // Basic validation: no spaces, valid characters, reasonable length
-  if (!domain || domain.length > 253) return false;
-  
-  // Check for valid domain characters (alphanumeric, dots, hyphens)
-  const domainRegex = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?(\.[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?)*$/;
-  
-  // Remove common protocols if present for validation
-  const cleanDomain = domain.replace(/^(https?:\/\/)?(www\.)?/i, '');
-  
-  return domainRegex.test(cleanDomain);
+async function setExceptions(domain, exceptions) {
+  const { domainExceptions = {} } = await readSync("domainExceptions");
+  const uniq = [...new Set(exceptions)].sort();
+  if (uniq.length) {
+    domainExceptions[domain] = uniq;
+  } else {
+    delete domainExceptions[domain];
+  }
+  return saveSettings({ domainExceptions });
 }
 
 /**
- * Normalize user input to a clean domain name
- * Handles URLs, protocols, www prefix, and trailing paths
- * @param {string} text - User input (domain or URL)
- * @returns {string} Normalized domain or empty string if invalid
+ * Set or clear the daily time budget of a blocked entry
+ * @param {string} domain - Blocked entry
+ * @param {number} minutes - Minutes allowed per day (0 removes the budget)
  */
-function normalizeDomain(text) {
-  const t = (text || "").trim();
-  if (!t) return "";
-  
-  try {
-    // Try to parse as URL (handles full URLs)
-    const url = t.includes("://") ? new URL(t) : new URL("https://" + t);
-    const domain = url.hostname.replace(/^www\./i, "").toLowerCase();
-    
-    // Validate the extracted domain
-    if (!isValidDomain(domain)) {
-      return "";
-    }
-    
-    return domain;
-  } catch {
-    // Fallback: basic cleanup if URL parsing fails
-    const cleaned = t
-      .replace(/^[a-z]+:\/\//i, "") // Remove protocol
-      .replace(/^www\./i, "")       // Remove www
-      .split("/")[0]                // Remove path
-      .toLowerCase();
-    
-    // Validate the cleaned domain
-    if (!isValidDomain(cleaned)) {
-      return "";
-    }
-    
-    return cleaned;
+async function setBudget(domain, minutes) {
+  const { domainBudgets = {} } = await readSync("domainBudgets");
+  if (minutes > 0) {
+    domainBudgets[domain] = minutes;
+  } else {
+    delete domainBudgets[domain];
   }
+  if (await saveSettings({ domainBudgets })) await render();
 }
 
-/* ========== STORAGE OPERATIONS ========== */
+/**
+ * Normalize an exception and check that it lies inside its parent entry's host
+ * @param {string} parent - Blocked entry
+ * @param {string} text - User input (subdomain, or host with path)
+ * @returns {Promise<string>} Normalized exception or empty string if invalid
+ */
+async function normalizeException(parent, text) {
+  const ex = normalizeEntry(text);
+  const host = entryHost(ex);
+  const parentHost = entryHost(parent);
+  const inside = host === parentHost || host.endsWith("." + parentHost);
+  if (!ex || ex === parent || !inside || !(await isEntrySupported(ex))) return "";
+  return ex;
+}
+
+/**
+ * Check a profile name (non-empty, at most 40 characters)
+ * @param {string} name - Profile name
+ * @returns {boolean} True if valid
+ */
+function isValidProfileName(name) {
+  return typeof name === "string" && name.trim().length > 0 && name.length <= 40;
+}
 
 /**
- * Get blocked domains from Chrome sync storage
- * @returns {Promise<string[]>} Array of blocked domains
+ * Ask the service worker to run a profile command, reporting refusals
+ * @param {Object} msg - Message with cmd and profile names
  */
-async function getBlocked() {
-  const { blockedDomains = [] } = await chrome.storage.sync.get("blockedDomains");
-  return blockedDomains;
+async function profileCommand(msg) {
+  const res = await sendProtected(msg);
+  await render();
+  showRefusal(res);
 }
 
 /**
- * Update blocked domains in storage and sync rules
- * @param {string[]} domains - New list of domains to block
+ * Get allowlisted domains from Chrome sync storage
+ * @returns {Promise<string[]>} Array of allowed domains
  */
-async function setBlocked(domains) {
-  // Deduplicate, normalize, and sort domains
+async function getAllowed() {
+  const { allowedDomains = [] } = await readSync("allowedDomains");
+  return allowedDomains;
+}
+
+/**
+ * Update the allowlist in storage and sync rules
+ * No per-site permission is needed: allowlist mode already has access to all sites
+ * @param {string[]} domains - New list of domains to allow
+ * @returns {Promise<boolean>} True if saved (false if refused, see saveSettings())
+ */
+async function setAllowed(domains) {
   const uniq = [...new Set(domains.map(normalizeDomain).filter(Boolean))].sort();
-  
-  // Save to Chrome sync storage (syncs across devices)
-  await chrome.storage.sync.set({ blockedDomains: uniq });
-  
-  // Tell service worker to update blocking rules
-  await chrome.runtime.sendMessage({ cmd: "syncRules" });
-  
-  // Re-render the UI
+  if (!(await saveSettings({ allowedDomains: uniq }))) return false;
   await render();
+  return true;
 }
 
 /**
- * Request host permission for a domain
- * @param {string} domain - Domain to request permission for
- * @returns {Promise<boolean>} True if permission granted
+ * Switch between blocklist and allowlist mode
+ * Allowlist mode asks for access to all sites first; nothing changes if denied
+ * @param {string} mode - "block" or "allow"
  */
-async function requestOriginPermission(domain) {
-  // Build origin patterns for the domain and its subdomains
-  const origins = [
-    `https://${domain}/*`,
-    `http://${domain}/*`,
-    `https://*.${domain}/*`,
-    `http://*.${domain}/*`
-  ];
+async function setMode(mode) {
+  if (mode === currentMode) return;
+  if (await refuseIfLocked()) return;
   
-  // Check if we already have permission
-  const hasPermission = await chrome.permissions.contains({ origins });
-  if (hasPermission) return true;
+  if (mode === "allow") {
+    let granted = false;
+    try {
+      granted = await chrome.permissions.request({ origins: ["*://*/*"] });
+    } catch {
+      // Permission request failed, stay in blocklist mode
+    }
+    if (!granted) {
+      statusEl.textContent = getMessage('modeAllowDenied') || 'Allowlist mode needs access to all sites';
+      return;
+    }
+  }
   
-  // Request permission from user
-  return await chrome.permissions.request({ origins });
+  if (await saveSettings({ blockMode: mode })) await render();
 }
 
 /* ========== UI RENDERING ========== */
 
+/**
+ * Create a list item for an allowlisted domain (allowlist mode)
+ * @param {string} domain - The allowed domain
+ * @returns {HTMLElement} List item element
+ */
+function allowRow(domain) {
+  const li = document.createElement("li");
+  li.className = "domain allowed";
+  li.setAttribute("role", "option");
+  li.setAttribute("tabindex", "0");
+  
+  const host = document.createElement("span");
+  host.className = "host";
+  host.textContent = domain;
+  
+  const removeFromAllowlist = async () => {
+    const cur = await getAllowed();
+    await setAllowed(cur.filter(d => d !== domain));
+  };
+  
+  const remove = document.createElement('button');
+  remove.className = 'danger btn-mini';
+  remove.textContent = getMessage('remove') || 'Remove';
+  remove.title = `Remove ${domain}`;
+  remove.onclick = removeFromAllowlist;
+  
+  // Keyboard support: Delete key removes domain
+  li.onkeydown = async (e) => {
+    if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      await removeFromAllowlist();
+    }
+  };
+  
+  li.append(host, remove);
+  return li;
+}
+
 /**
  * Create a list item for a blocked domain
  * @param {string} domain - The blocked domain
  * @param {number} pausedUntilTs - Timestamp when domain pause expires (if any)
+ * @param {Object[]} schedule - Weekly blocking windows (empty = always blocked)
+ * @param {Object} [budget] - Daily time budget: { limit (minutes), used (ms today) }
+ * @param {string} [friction] - Snooze challenge for this domain (empty = global setting)
+ * @param {Object} allowance - Result of snoozeAllowance()
+ * @param {string} [redirect] - Where the tab goes when blocked (domainRedirects value)
+ * @param {string} [note] - Personal note shown on the blocked page
  * @returns {HTMLElement} List item element
  */
-function domainRow(domain, pausedUntilTs) {
+function domainRow(domain, pausedUntilTs, schedule, budget, friction, allowance, redirect, note) {
   const li = document.createElement("li");
   li.className = "domain";
   li.setAttribute("role", "option");
@@ -272,18 +478,75 @@ function domainRow(domain, pausedUntilTs) {
   if (pausedUntilTs && Date.now() < pausedUntilTs) {
     const mins = Math.ceil((pausedUntilTs - Date.now()) / 60000);
     meta.textContent = `Snoozed ~${mins}m`;
+  } else if (schedule?.length && !isScheduleActive(schedule)) {
+    meta.textContent = getMessage('offSchedule') || 'Off schedule';
+  } else if (budget) {
+    const left = Math.max(0, Math.ceil(budget.limit - budget.used / 60000));
+    meta.textContent = left > 0
+      ? `⏳ ${left}m ${getMessage('budgetLeft') || 'left today'}`
+      : (getMessage('budgetUsedUp') || 'Budget used up');
   } else {
     meta.textContent = "";
   }
   
+  // Settings button (opens the inline schedule, friction, redirect and note editor below the row)
+  const sched = document.createElement("button");
+  sched.className = schedule?.length || friction || redirect || note ? "primary btn-mini" : "ghost btn-mini";
+  sched.textContent = "🗓";
+  sched.title = getMessage('scheduleTitle') || `Schedule for ${domain}`;
+  sched.setAttribute("aria-expanded", String(scheduleEditor?.domain === domain));
+  sched.onclick = async () => {
+    if (scheduleEditor?.domain === domain) {
+      scheduleEditor = null;
+    } else {
+      // Work on a copy so nothing is saved until the user clicks Save
+      scheduleEditor = {
+        domain,
+        windows: (schedule || []).map(w => ({ ...w, days: [...w.days] })),
+        friction: friction || "",
+        redirectType: redirect === REDIRECT_BLOCK ? REDIRECT_BLOCK : redirect ? "url" : "",
+        redirectUrl: redirect && redirect !== REDIRECT_BLOCK ? redirect : "",
+        note: note || ""
+      };
+    }
+    await render();
+  };
+  
+  // Budget button (asks for the minutes allowed per day)
+  const budgetBtn = document.createElement("button");
+  budgetBtn.className = budget ? "primary btn-mini" : "ghost btn-mini";
+  budgetBtn.textContent = "⏳";
+  budgetBtn.title = getMessage('budgetTitle') || `Daily time budget for ${domain}`;
+  budgetBtn.onclick = async () => {
+    const question = getMessage('budgetPrompt') || 'Minutes allowed per day (0 = no budget, always blocked)';
+    const answer = prompt(`${question}\n${domain}`, budget ? String(budget.limit) : "20");
+    if (answer === null) return;
+    const minutes = parseInt(answer, 10);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > 1440) return;
+    await setBudget(domain, minutes);
+  };
+  
+  // Exception button (opens an "add exception" field below the row)
+  const except = document.createElement("button");
+  except.className = "ghost btn-mini";
+  except.textContent = "⤷";
+  except.title = getMessage('exceptionAdd') || `Add an exception inside ${domain}`;
+  except.setAttribute("aria-expanded", String(exceptionEditor === domain));
+  except.onclick = async () => {
+    exceptionEditor = exceptionEditor === domain ? null : domain;
+    await render();
+  };
+  
   // Snooze button
   const snooze = document.createElement("button");
   snooze.className = "ghost btn-mini";
   const snoozeLabel = getMessage('snoozeSite') || '⏱ 15m';
   snooze.textContent = snoozeLabel;
-  snooze.title = `Snooze ${domain} for 15 minutes`;
+  const allowanceText = describeAllowance(allowance);
+  snooze.title = `Snooze ${domain} for 15 minutes` + (allowanceText ? ` (${allowanceText})` : "");
   snooze.onclick = async () => {
-    await chrome.runtime.sendMessage({ cmd: 'pauseDomain', domain, minutes: 15 });
+    const res = await sendProtected({ cmd: 'pauseDomain', domain, minutes: 15 });
+    if (showRefusal(res)) return;
     await render();
   };
   
@@ -305,39 +568,452 @@ function domainRow(domain, pausedUntilTs) {
   remove.textContent = removeLabel;
   remove.title = `Remove ${domain}`;
   remove.onclick = async () => {
-    const cur = await getBlocked();
-    await setBlocked(cur.filter(d => d !== domain));
+    showRefusal(await removeBlocked([domain]));
   };
   
   // Keyboard support: Delete key removes domain
   li.onkeydown = async (e) => {
     if (e.key === "Delete" || e.key === "Backspace") {
       e.preventDefault();
-      const cur = await getBlocked();
-      await setBlocked(cur.filter(d => d !== domain));
+      showRefusal(await removeBlocked([domain]));
+    }
+  };
+  
+  li.append(host, meta, sched, budgetBtn, except, snooze, resume, remove);
+  return li;
+}
+
+/**
+ * Create a nested list item for an exception inside a blocked entry
+ * @param {string} domain - Blocked entry the exception belongs to
+ * @param {string} exception - Host or path that stays reachable
+ * @param {string[]} all - All exceptions of the entry
+ * @returns {HTMLElement} List item element
+ */
+function exceptionRow(domain, exception, all) {
+  const li = document.createElement("li");
+  li.className = "exception";
+  li.setAttribute("role", "option");
+  li.setAttribute("tabindex", "0");
+  
+  const host = document.createElement("span");
+  host.className = "host";
+  host.textContent = `↳ ${exception}`;
+  host.title = getMessage('exceptionHelp') || 'Stays reachable while the parent domain is blocked';
+  
+  const removeException = async () => {
+    if (await setExceptions(domain, all.filter(x => x !== exception))) await render();
+  };
+  
+  const remove = document.createElement('button');
+  remove.className = 'danger btn-mini';
+  remove.textContent = getMessage('remove') || 'Remove';
+  remove.title = `Remove ${exception}`;
+  remove.onclick = removeException;
+  
+  // Keyboard support: Delete key removes the exception
+  li.onkeydown = async (e) => {
+    if (e.key === "Delete" || e.key === "Backspace") {
+      e.preventDefault();
+      e.stopPropagation();
+      await removeException();
+    }
+  };
+  
+  li.append(host, remove);
+  return li;
+}
+
+/**
+ * Create the inline "add exception" field for a blocked entry
+ * @param {string} domain - Blocked entry the exception belongs to
+ * @param {string[]} all - Current exceptions of the entry
+ * @returns {HTMLElement} List item element holding the form
+ */
+function exceptionEditorRow(domain, all) {
+  const li = document.createElement("li");
+  li.className = "exception-editor";
+  
+  const form = document.createElement("form");
+  form.className = "row";
+  
+  const input = document.createElement("input");
+  input.type = "text";
+  input.autocomplete = "off";
+  input.placeholder = `docs.${entryHost(domain)}`;
+  input.setAttribute("aria-label", getMessage('exceptionAdd') || `Add an exception inside ${domain}`);
+  
+  const add = document.createElement("button");
+  add.className = "primary btn-mini";
+  add.type = "submit";
+  add.textContent = getMessage('exceptionAddButton') || 'Allow';
+  
+  form.onsubmit = async (e) => {
+    e.preventDefault();
+    const ex = await normalizeException(domain, input.value);
+    if (!ex) {
+      input.classList.add('shake');
+      setTimeout(() => input.classList.remove('shake'), 500);
+      return;
+    }
+    // A new exception unblocks part of the site, so the lock refuses it
+    if (await refuseIfLocked() || !(await setExceptions(domain, [...all, ex]))) return;
+    exceptionEditor = null;
+    await render();
+  };
+  
+  form.append(input, add);
+  li.appendChild(form);
+  
+  // Focus the new field once it is in the document
+  setTimeout(() => input.focus(), 0);
+  return li;
+}
+
+/**
+ * Short weekday names in the selected UI language, indexed like Date#getDay()
+ * @returns {string[]} Seven weekday labels starting with Sunday
+ */
+function weekdayNames() {
+  const lang = (languageSelect?.value || 'en').replace('_', '-');
+  const fmt = new Intl.DateTimeFormat(lang, { weekday: 'short' });
+  // 2024-01-07 was a Sunday
+  return [0, 1, 2, 3, 4, 5, 6].map(i => fmt.format(new Date(2024, 0, 7 + i)));
+}
+
+/**
+ * Fill a select with the snooze friction choices
+ * @param {HTMLSelectElement} select - Select element to fill
+ * @param {boolean} withGlobal - Add a "use global setting" choice (value "")
+ */
+function fillFrictionOptions(select, withGlobal) {
+  const labels = {
+    "": getMessage('frictionGlobal') || 'Use global setting',
+    none: getMessage('frictionNone') || 'No challenge',
+    countdown: getMessage('frictionCountdownOption') || 'Wait 30 seconds',
+    phrase: getMessage('frictionPhraseOption') || 'Retype a random phrase',
+    reason: getMessage('frictionReasonOption') || 'Write down a reason'
+  };
+  select.innerHTML = "";
+  for (const type of withGlobal ? ["", ...FRICTION_TYPES] : FRICTION_TYPES) {
+    const opt = document.createElement("option");
+    opt.value = type;
+    opt.textContent = labels[type];
+    select.appendChild(opt);
+  }
+}
+
+/**
+ * Create the inline settings editor (schedule, snooze friction and redirect) for the domain in scheduleEditor
+ * Edits a draft copy; Save writes it to sync storage
+ * @returns {HTMLElement} List item element holding the editor
+ */
+function scheduleEditorRow() {
+  const { domain, windows } = scheduleEditor;
+  const li = document.createElement("li");
+  li.className = "schedule-editor";
+  li.setAttribute("role", "group");
+  li.setAttribute("aria-label", getMessage('scheduleTitle') || `Schedule for ${domain}`);
+  
+  const help = document.createElement("small");
+  help.className = "muted";
+  help.textContent = getMessage('scheduleHelp') || 'Block only during these times. No windows = always blocked.';
+  li.appendChild(help);
+  
+  // Monday-first order reads naturally for work weeks
+  const names = weekdayNames();
+  const order = [1, 2, 3, 4, 5, 6, 0];
+  
+  windows.forEach((w, index) => {
+    const row = document.createElement("div");
+    row.className = "schedule-window";
+    
+    const days = document.createElement("div");
+    days.className = "days";
+    for (const day of order) {
+      const label = document.createElement("label");
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = w.days.includes(day);
+      box.onchange = () => {
+        w.days = box.checked
+          ? [...w.days, day].sort()
+          : w.days.filter(x => x !== day);
+      };
+      label.append(box, names[day]);
+      days.appendChild(label);
+    }
+    
+    const start = document.createElement("input");
+    start.type = "time";
+    start.value = w.start;
+    start.onchange = () => { w.start = start.value; };
+    
+    const end = document.createElement("input");
+    end.type = "time";
+    end.value = w.end;
+    end.onchange = () => { w.end = end.value; };
+    
+    const del = document.createElement("button");
+    del.className = "danger btn-mini";
+    del.textContent = "✕";
+    del.title = getMessage('remove') || 'Remove';
+    del.onclick = async () => {
+      windows.splice(index, 1);
+      await render();
+    };
+    
+    row.append(days, start, "–", end, del);
+    li.appendChild(row);
+  });
+  
+  // Per-domain snooze friction
+  const frictionLabel = document.createElement("label");
+  frictionLabel.className = "friction muted";
+  const frictionText = document.createElement("span");
+  frictionText.textContent = getMessage('frictionLabel') || 'Before snoozing from the blocked page';
+  const friction = document.createElement("select");
+  fillFrictionOptions(friction, true);
+  friction.value = scheduleEditor.friction;
+  friction.onchange = () => { scheduleEditor.friction = friction.value; };
+  frictionLabel.append(frictionText, friction);
+  li.appendChild(frictionLabel);
+  
+  // Where the tab goes when this entry blocks it
+  const redirectLabel = document.createElement("label");
+  redirectLabel.className = "friction muted";
+  const redirectText = document.createElement("span");
+  redirectText.textContent = getMessage('redirectLabel') || 'When blocked, show';
+  const redirect = document.createElement("select");
+  const redirectOptions = {
+    "": getMessage('redirectBlockedPage') || 'Blocked page',
+    url: getMessage('redirectCustomUrl') || 'Custom URL',
+    [REDIRECT_BLOCK]: getMessage('redirectPlainBlock') || 'Nothing (plain block)'
+  };
+  for (const [value, text] of Object.entries(redirectOptions)) {
+    const opt = document.createElement("option");
+    opt.value = value;
+    opt.textContent = text;
+    redirect.appendChild(opt);
+  }
+  redirect.value = scheduleEditor.redirectType;
+  redirectLabel.append(redirectText, redirect);
+  li.appendChild(redirectLabel);
+  
+  const redirectUrl = document.createElement("input");
+  redirectUrl.type = "url";
+  redirectUrl.className = "redirect-url";
+  redirectUrl.placeholder = "https://wiki.example.com";
+  redirectUrl.setAttribute("aria-label", redirectOptions.url);
+  redirectUrl.value = scheduleEditor.redirectUrl;
+  redirectUrl.hidden = scheduleEditor.redirectType !== "url";
+  redirectUrl.oninput = () => { scheduleEditor.redirectUrl = redirectUrl.value; };
+  redirect.onchange = () => {
+    scheduleEditor.redirectType = redirect.value;
+    redirectUrl.hidden = redirect.value !== "url";
+  };
+  li.appendChild(redirectUrl);
+  
+  // Personal note shown on the blocked page
+  const noteInput = document.createElement("textarea");
+  noteInput.className = "note-input";
+  noteInput.rows = 2;
+  noteInput.maxLength = MAX_NOTE_LENGTH;
+  noteInput.placeholder = getMessage('notePlaceholder') || 'Why I blocked this (shown on the blocked page)';
+  noteInput.setAttribute("aria-label", noteInput.placeholder);
+  noteInput.value = scheduleEditor.note;
+  noteInput.oninput = () => { scheduleEditor.note = noteInput.value; };
+  li.appendChild(noteInput);
+  
+  const actions = document.createElement("div");
+  actions.className = "row";
+  
+  const add = document.createElement("button");
+  add.className = "ghost btn-mini";
+  add.textContent = getMessage('scheduleAddWindow') || '+ Add window';
+  add.onclick = async () => {
+    windows.push({ days: [1, 2, 3, 4, 5], start: "09:00", end: "17:30" });
+    await render();
+  };
+  
+  const save = document.createElement("button");
+  save.className = "primary btn-mini";
+  save.textContent = getMessage('scheduleSave') || 'Save';
+  save.onclick = async () => {
+    // A custom URL must be http(s) and must not be blocked itself (that would loop)
+    const target = scheduleEditor.redirectType === "url"
+      ? normalizeRedirectUrl(scheduleEditor.redirectUrl, await getBlocked())
+      : scheduleEditor.redirectType;
+    if (!windows.every(isValidScheduleWindow) || (scheduleEditor.redirectType === "url" && !target)) {
+      if (scheduleEditor.redirectType === "url" && !target) {
+        statusEl.textContent = getMessage('redirectInvalid') || 'Enter an http(s) address that is not blocked itself';
+        redirectUrl.focus();
+      }
+      li.classList.add('shake');
+      setTimeout(() => li.classList.remove('shake'), 500);
+      return;
+    }
+    const { domainSchedules = {}, domainFriction = {}, domainRedirects = {}, domainNotes = {} } =
+      await readSync(["domainSchedules", "domainFriction", "domainRedirects", "domainNotes"]);
+    if (windows.length) {
+      domainSchedules[domain] = windows;
+    } else {
+      delete domainSchedules[domain];
+    }
+    if (scheduleEditor.friction) {
+      domainFriction[domain] = scheduleEditor.friction;
+    } else {
+      delete domainFriction[domain];
+    }
+    if (target) {
+      domainRedirects[domain] = target;
+    } else {
+      delete domainRedirects[domain];
+    }
+    const note = scheduleEditor.note.trim().slice(0, MAX_NOTE_LENGTH);
+    if (note) {
+      domainNotes[domain] = note;
+    } else {
+      delete domainNotes[domain];
     }
+    // Keep the editor open with the edits if saving is refused or fails
+    if (!(await saveSettings({ domainSchedules, domainFriction, domainRedirects, domainNotes }))) return;
+    scheduleEditor = null;
+    await render();
   };
   
-  li.append(host, meta, snooze, resume, remove);
+  actions.append(add, save);
+  li.appendChild(actions);
   return li;
 }
 
+/**
+ * Format a timestamp as a short local time (today) or weekday and time (later)
+ * @param {number} ts - Timestamp
+ * @returns {string} e.g. "14:05" or "Tue 09:00"
+ */
+function formatClock(ts) {
+  const lang = (languageSelect?.value || 'en').replace('_', '-');
+  const sameDay = new Date(ts).toDateString() === new Date().toDateString();
+  return new Date(ts).toLocaleString(lang, sameDay
+    ? { hour: '2-digit', minute: '2-digit' }
+    : { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Describe a snooze allowance for display
+ * @param {Object} allowance - Result of snoozeAllowance()
+ * @returns {string} e.g. "2 snoozes left today · next snooze at 14:05" (empty when unlimited)
+ */
+function describeAllowance(allowance) {
+  if (!allowance) return "";
+  const parts = [];
+  if (allowance.remaining !== null) {
+    parts.push(`${allowance.remaining} ${getMessage('snoozesLeft') || 'snooze(s) left today'}`);
+  }
+  if (allowance.availableAt > Date.now()) {
+    parts.push(`${getMessage('snoozeNextAt') || 'next snooze at'} ${formatClock(allowance.availableAt)}`);
+  }
+  return parts.join(" · ");
+}
+
 /**
  * Render the current state of blocked domains and pauses
  */
 async function render() {
   // Get current state from storage
-  const [{ blockedDomains = [] }, { pausedUntilTs = 0, pausedDomains = {} }] = await Promise.all([
-    chrome.storage.sync.get("blockedDomains"),
-    chrome.storage.local.get(["pausedUntilTs", "pausedDomains"])
+  const [
+    {
+      blockedDomains = [], domainSchedules = {}, domainExceptions = {}, domainBudgets = {},
+      budgetResetTime = DEFAULT_BUDGET_RESET, blockMode = "block", allowedDomains = [],
+      snoozeFriction = "none", domainFriction = {}, snoozeLimits = {}, pinProtection = null,
+      domainRedirects = {}, domainNotes = {}, focusIntention = ""
+    },
+    {
+      pausedUntilTs = 0, pausedDomains = {}, focusSession = null, budgetUsage = null, snoozeLog = null,
+      commitLock = null, unsyncedKeys = [], ruleStatus = null
+    }
+  ] = await Promise.all([
+    readSync([
+      "blockedDomains", "domainSchedules", "domainExceptions", "domainBudgets",
+      "budgetResetTime", "blockMode", "allowedDomains", "snoozeFriction", "domainFriction",
+      "snoozeLimits", "pinProtection", "domainRedirects", "domainNotes", "focusIntention"
+    ]),
+    chrome.storage.local.get([
+      "pausedUntilTs", "pausedDomains", "focusSession", "budgetUsage", "snoozeLog", "commitLock", "unsyncedKeys",
+      "ruleStatus"
+    ])
   ]);
+  syncWarningEl.hidden = unsyncedKeys.length === 0;
+  renderRuleWarning(ruleStatus);
+  
+  // Usage from an earlier budget day no longer counts
+  const used = budgetUsage?.periodStart === budgetPeriodStart(budgetResetTime) ? budgetUsage.used : {};
+  budgetResetInput.value = budgetResetTime;
+  fillFrictionOptions(frictionSelect, false);
+  frictionSelect.value = snoozeFriction;
+  // Don't overwrite the intention while it is being typed
+  if (document.activeElement !== intentionInput) intentionInput.value = focusIntention;
+  
+  // Update snooze limits and what is left of today's allowance
+  const allowanceOf = target => snoozeAllowance(target, snoozeLimits, snoozeLog, budgetResetTime);
+  snoozePerDayInput.value = snoozeLimits.perDay || 0;
+  snoozeCooldownInput.value = snoozeLimits.cooldown || 0;
+  snoozeAllowanceEl.textContent = describeAllowance(allowanceOf(GLOBAL_SNOOZE_KEY));
+  
+  // Update profile switcher
+  const { profiles = {}, activeProfile = DEFAULT_PROFILE } =
+    await readSync(["profiles", "activeProfile"]);
+  const names = [activeProfile, ...Object.keys(profiles)].sort((a, b) => a.localeCompare(b));
+  profileSelect.innerHTML = "";
+  for (const name of names) {
+    const opt = document.createElement("option");
+    opt.value = name;
+    opt.textContent = name;
+    profileSelect.appendChild(opt);
+  }
+  profileSelect.value = activeProfile;
+  document.getElementById("profile-delete").disabled = names.length < 2;
+  
+  // Update focus session panel
+  currentSession = focusSession;
+  renderSession();
+  
+  // Update commitment lock panel; a running lock can only be extended
+  const lock = activeLock(commitLock);
+  lockStartBtn.textContent = lock ? (getMessage('lockExtend') || 'Extend') : (getMessage('lockStart') || 'Lock');
+  lockStatusEl.textContent = lock
+    ? `🔒 ${getMessage('lockedUntil') || 'Locked until'} ${formatClock(lock.until)}`
+    : (getMessage('lockHelp') || 'Until then sites can be added but not removed, snoozed or resumed.');
+  document.querySelectorAll(".preset[data-min]").forEach(btn => { btn.disabled = Boolean(lock); });
+  resumeBtn.disabled = Boolean(lock);
+  
+  // Update PIN panel (the hash itself never leaves the service worker's checks)
+  const pinSet = Boolean(pinProtection);
+  pinSetBtn.textContent = pinSet ? (getMessage('pinChange') || 'Change PIN') : (getMessage('pinSet') || 'Set PIN');
+  pinRemoveBtn.hidden = !pinSet;
+  pinRecoverBtn.hidden = !pinSet;
+  
+  // Update mode switch and the labels that depend on it
+  currentMode = blockMode;
+  modeBlockBtn.className = blockMode === "allow" ? "ghost" : "primary";
+  modeAllowBtn.className = blockMode === "allow" ? "primary" : "ghost";
+  modeBlockBtn.setAttribute("aria-checked", String(blockMode !== "allow"));
+  modeAllowBtn.setAttribute("aria-checked", String(blockMode === "allow"));
+  document.getElementById("list-title").textContent = blockMode === "allow"
+    ? (getMessage('allowedListTitle') || 'Allowed Domains')
+    : (getMessage('blockedListTitle') || 'Blocked Domains');
+  renderCurrentSite(blockedDomains);
   
   // Update status text
+  currentPauseUntil = pausedUntilTs;
   if (pausedUntilTs && Date.now() < pausedUntilTs) {
-    // Global pause is active
-    const mins = Math.ceil((pausedUntilTs - Date.now()) / 60000);
-    const base = getMessage('allPaused') || 'All sites paused';
-    statusEl.textContent = `${base} ~${mins}m`;
+    // Global pause is active; the countdown ticks once a second
+    renderPauseStatus();
+  } else if (blockMode === "allow") {
+    // Show allowlist count
+    const suffix = getMessage('allowedCount') || 'site(s) allowed, everything else blocked';
+    statusEl.textContent = `${allowedDomains.length} ${suffix}`;
   } else {
     // Show domain count
     if (blockedDomains.length) {
@@ -348,22 +1024,663 @@ async function render() {
     }
   }
   
-  // Update domain list
-  listEl.innerHTML = "";
-  blockedDomains.forEach(d => {
-    listEl.appendChild(domainRow(d, pausedDomains?.[d]));
+  // Update domain list, showing only entries that match the filter box
+  const query = listFilterInput.value.trim().toLowerCase();
+  const matches = d => !query || d.toLowerCase().includes(query);
+  
+  if (blockMode === "allow") {
+    patchList(allowedDomains.filter(matches).map(d => ({
+      key: `allow:${d}`,
+      sig: "",
+      build: () => [allowRow(d)]
+    })));
+    return;
+  }
+  
+  const now = Date.now();
+  patchList(blockedDomains.filter(matches).map(d => {
+    const budget = domainBudgets[d] ? { limit: domainBudgets[d], used: used[d] || 0 } : undefined;
+    const allowance = allowanceOf(d);
+    const exceptions = domainExceptions[d] || [];
+    const pausedUntilTs = pausedDomains?.[d];
+    
+    // Everything the rows display; time-dependent parts as the minutes shown
+    const sig = scheduleEditor?.domain === d ? null : JSON.stringify([
+      pausedUntilTs > now ? Math.ceil((pausedUntilTs - now) / 60000) : 0,
+      domainSchedules[d] || null,
+      isScheduleActive(domainSchedules[d]),
+      budget ? [budget.limit, Math.ceil(budget.limit - budget.used / 60000)] : null,
+      domainFriction[d] || "",
+      domainRedirects[d] || "",
+      domainNotes[d] || "",
+      describeAllowance(allowance),
+      exceptions,
+      exceptionEditor === d
+    ]);
+    
+    return {
+      key: `block:${d}`,
+      sig,
+      build: () => {
+        const nodes = [
+          domainRow(d, pausedUntilTs, domainSchedules[d], budget, domainFriction[d], allowance,
+            domainRedirects[d], domainNotes[d])
+        ];
+        exceptions.forEach(ex => nodes.push(exceptionRow(d, ex, exceptions)));
+        if (exceptionEditor === d) nodes.push(exceptionEditorRow(d, exceptions));
+        if (scheduleEditor?.domain === d) nodes.push(scheduleEditorRow());
+        return nodes;
+      }
+    };
+  }));
+}
+
+/**
+ * Bring the list in line with the wanted rows, rebuilding only rows whose content changed
+ * Large lists stay fast because unchanged rows keep their DOM nodes (and focus)
+ * @param {Object[]} groups - { key, sig, build } in display order; sig null = always rebuild,
+ *   build() returns the row's list items
+ */
+function patchList(groups) {
+  const wanted = [];
+  const seen = new Set();
+  for (const { key, sig, build } of groups) {
+    let cached = rowCache.get(key);
+    if (!cached || sig === null || cached.sig !== sig) {
+      cached = { sig, nodes: build() };
+      rowCache.set(key, cached);
+    }
+    seen.add(key);
+    wanted.push(...cached.nodes);
+  }
+  for (const key of rowCache.keys()) {
+    if (!seen.has(key)) rowCache.delete(key);
+  }
+  
+  // Move nodes into place, touching the DOM only where the order differs
+  let cursor = listEl.firstChild;
+  for (const node of wanted) {
+    if (node === cursor) {
+      cursor = cursor.nextSibling;
+    } else {
+      listEl.insertBefore(node, cursor);
+    }
+  }
+  while (cursor) {
+    const next = cursor.nextSibling;
+    cursor.remove();
+    cursor = next;
+  }
+}
+
+/**
+ * Coalesce bursts of storage changes into a single render
+ * @returns {Promise} Resolves after the render
+ */
+function scheduleRender() {
+  if (!renderQueued) {
+    renderQueued = new Promise(resolve => requestAnimationFrame(resolve)).then(() => {
+      renderQueued = null;
+      return render();
+    });
+  }
+  return renderQueued;
+}
+
+/**
+ * Show a service worker refusal in the status line
+ * @param {Object} res - Response from chrome.runtime.sendMessage
+ * @returns {boolean} True if the command was refused
+ */
+function showRefusal(res) {
+  if (res?.ok) return false;
+  if (res?.code?.startsWith("PIN_")) {
+    statusEl.textContent = pinRefusalText(res);
+    return true;
+  }
+  if (res?.code === "LOCKED") {
+    statusEl.textContent = `🔒 ${getMessage('lockedUntil') || 'Locked until'} ${formatClock(res.availableAt)}`;
+    return true;
+  }
+  const byCode = {
+    SNOOZE_LIMIT_REACHED: getMessage('snoozeLimitReached') || 'No snoozes left today',
+    SNOOZE_COOLDOWN: getMessage('snoozeCooldown') || 'Too soon since the last snooze'
+  };
+  let text = byCode[res?.code] || res?.error || getMessage('commandFailed') || 'Something went wrong';
+  if (res?.availableAt) {
+    text += ` · ${getMessage('snoozeNextAt') || 'next snooze at'} ${formatClock(res.availableAt)}`;
+  }
+  statusEl.textContent = text;
+  return true;
+}
+
+/**
+ * Refuse a change the service worker would undo during a commitment lock
+ * Used for changes saved straight to storage (mode, allowlist additions)
+ * @returns {Promise<boolean>} True if a lock is running
+ */
+async function refuseIfLocked() {
+  const { commitLock = null } = await chrome.storage.local.get("commitLock");
+  const lock = activeLock(commitLock);
+  if (lock) showRefusal({ ok: false, code: "LOCKED", availableAt: lock.until });
+  return Boolean(lock);
+}
+
+/**
+ * Save settings through the service worker, which asks for the PIN (if one is set)
+ * and syncs the rules
+ * @param {Object} items - Sync storage values by key
+ * @returns {Promise<boolean>} True if saved; otherwise the refusal or error is shown
+ */
+async function saveSettings(items) {
+  const res = await sendProtected({ cmd: "saveSettings", items });
+  if (res?.ok) return true;
+  
+  // Put back inputs that show the unsaved value, then explain
+  await render();
+  showRefusal(res);
+  return false;
+}
+
+/**
+ * Format time left as a ticking clock
+ * @param {number} ms - Milliseconds left
+ * @returns {string} "m:ss", or "h:mm:ss" from an hour up
+ */
+function formatCountdown(ms) {
+  const total = Math.floor(ms / 1000);
+  const ss = String(total % 60).padStart(2, "0");
+  const minutes = Math.floor(total / 60);
+  if (minutes < 60) return `${minutes}:${ss}`;
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}:${ss}`;
+}
+
+/**
+ * Show the focus session's phase and time left
+ * Called from render() and once a second while a session runs
+ */
+function renderSession() {
+  const active = Boolean(currentSession);
+  sessionFields.hidden = active;
+  sessionStartBtn.hidden = active;
+  sessionStopBtn.hidden = !active;
+  
+  if (!active) {
+    sessionStatusEl.textContent = "";
+    return;
+  }
+  
+  const left = Math.max(0, currentSession.phaseEndsAt - Date.now());
+  const phaseLabels = {
+    work: getMessage('sessionPhaseWork') || 'Work',
+    shortBreak: getMessage('sessionPhaseShortBreak') || 'Short break',
+    longBreak: getMessage('sessionPhaseLongBreak') || 'Long break'
+  };
+  const phase = phaseLabels[currentSession.phase] || currentSession.phase;
+  const leftLabel = getMessage('sessionLeft') || 'left';
+  sessionStatusEl.textContent =
+    `${phase} ${currentSession.cycle}/${currentSession.cycles} · ${formatCountdown(left)} ${leftLabel}`;
+}
+
+/**
+ * Show the global snooze's time left in the status line
+ * Called from render() and once a second while the snooze runs
+ */
+function renderPauseStatus() {
+  const left = Math.max(0, currentPauseUntil - Date.now());
+  const leftLabel = getMessage('sessionLeft') || 'left';
+  pauseStatusText = `${getMessage('allPaused') || 'All sites paused'} · ${formatCountdown(left)} ${leftLabel}`;
+  statusEl.textContent = pauseStatusText;
+}
+
+/**
+ * Preview what a path, wildcard or regex entry in the add field would block
+ * Plain domains need no preview, so the panel stays hidden for them
+ */
+function renderPatternPreview() {
+  previewEl.innerHTML = "";
+  const text = domainInput.value.trim();
+  const entry = currentMode === "allow" ? "" : normalizeEntry(text);
+  const kind = parseEntry(entry)?.kind;
+  
+  if (!text || currentMode === "allow" || kind === "domain") {
+    previewEl.hidden = true;
+    return;
+  }
+  previewEl.hidden = false;
+  
+  if (!entry) {
+    previewEl.textContent = getMessage('patternInvalid') || 'Not a valid domain, path or pattern';
+    return;
+  }
+  
+  // Show the compiled filter, then sample URLs marked blocked / allowed
+  const filter = document.createElement("code");
+  const cond = entryCondition(entry);
+  filter.textContent = cond.regexFilter || cond.urlFilter;
+  previewEl.appendChild(filter);
+  
+  const samples = entrySampleUrls(entry);
+  if (/^https?:\/\//i.test(text)) samples.unshift(text);
+  const re = entryToRegExp(entry);
+  const ul = document.createElement("ul");
+  for (const url of samples) {
+    const li = document.createElement("li");
+    const blocked = re.test(url);
+    li.className = blocked ? "match" : "no-match";
+    li.textContent = `${blocked ? "⛔" : "✓"} ${url}`;
+    ul.appendChild(li);
+  }
+  previewEl.appendChild(ul);
+}
+
+/**
+ * List the keyboard shortcuts and their current keys
+ * Chrome owns the bindings, so this is read-only; they change on chrome://extensions/shortcuts
+ */
+async function renderShortcuts() {
+  const labels = {
+    "block-site": "shortcutBlockSite",
+    "toggle-snooze": "shortcutToggleSnooze",
+    "resume-all": "shortcutResumeAll",
+    "start-session": "shortcutStartSession"
+  };
+  const commands = await chrome.commands.getAll();
+  const items = commands.filter(c => labels[c.name]).map(c => {
+    const li = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = getMessage(labels[c.name]) || c.description;
+    const keys = document.createElement("kbd");
+    keys.textContent = c.shortcut || getMessage('shortcutNotSet') || 'Not set';
+    if (!c.shortcut) keys.className = "muted";
+    li.append(name, keys);
+    return li;
+  });
+  shortcutListEl.replaceChildren(...items);
+}
+
+/**
+ * Warn when Chrome's rule limits leave entries out, or the rules couldn't be updated
+ * @param {Object|null} ruleStatus - { skipped, error } from the service worker
+ */
+function renderRuleWarning(ruleStatus) {
+  const skipped = ruleStatus?.skipped || [];
+  const lines = [];
+  if (skipped.length) {
+    lines.push(`${getMessage('ruleLimitSkipped') || "Entries past Chrome's rule limit, not applied"}: ${skipped.length}`);
+  }
+  if (ruleStatus?.error) {
+    lines.push(`${getMessage('ruleUpdateFailed') || 'Blocking rules could not be updated'}: ${ruleStatus.error}`);
+  }
+  ruleWarningEl.hidden = lines.length === 0;
+  ruleWarningEl.textContent = lines.join(" · ");
+  ruleWarningEl.title = skipped.join("\n");
+}
+
+/**
+ * Show how many quotes the blocked page rotates through
+ * Kept out of render(): the list can be long and rarely changes
+ */
+async function renderQuotes() {
+  const { blockedQuotes = [] } = await chrome.storage.local.get("blockedQuotes");
+  quotesClearBtn.hidden = blockedQuotes.length === 0;
+  quotesStatusEl.textContent = blockedQuotes.length
+    ? `${getMessage('quotesLoaded') || 'Quotes'}: ${blockedQuotes.length}`
+    : (getMessage('quotesHelp') || 'A text file with one quote per line');
+}
+
+/**
+ * Read quotes from a text file: one per line, blank lines and # comments skipped
+ * @param {string} text - File contents
+ * @returns {string[]} Quotes, each cut to MAX_QUOTE_LENGTH, at most MAX_QUOTES
+ */
+function parseQuotes(text) {
+  return text.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#"))
+    .map(line => line.slice(0, MAX_QUOTE_LENGTH))
+    .slice(0, MAX_QUOTES);
+}
+
+/* ========== CURRENT SITE ========== */
+// One-click blocking of the site in the active tab and its parent domains
+
+/**
+ * Read the active tab's domain (the popup may see its address thanks to activeTab)
+ * @returns {Promise<string>} Normalized domain, or empty for chrome://, file:// and other non-web tabs
+ */
+async function getCurrentTabHost() {
+  try {
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    const url = new URL(tab?.url || "");
+    if (url.protocol !== "http:" && url.protocol !== "https:") return "";
+    return normalizeDomain(url.hostname);
+  } catch {
+    return "";
+  }
+}
+
+// Common two-label public suffixes: no one can register "co.uk" itself, so it is never offered.
+// Not the full Public Suffix List; a missing suffix only means one extra button
+const SECOND_LEVEL_SUFFIXES = new Set([
+  "co.uk", "org.uk", "ac.uk", "gov.uk", "me.uk", "ltd.uk", "plc.uk", "net.uk",
+  "com.au", "net.au", "org.au", "edu.au", "gov.au", "asn.au", "id.au",
+  "co.nz", "org.nz", "net.nz", "govt.nz", "ac.nz",
+  "co.jp", "ne.jp", "or.jp", "ac.jp", "go.jp",
+  "co.kr", "or.kr", "ac.kr", "go.kr",
+  "co.in", "net.in", "org.in", "ac.in", "gov.in", "firm.in", "gen.in", "ind.in",
+  "co.za", "org.za", "gov.za", "ac.za",
+  "com.br", "net.br", "org.br", "gov.br", "edu.br",
+  "com.cn", "net.cn", "org.cn", "gov.cn", "edu.cn",
+  "com.hk", "org.hk", "edu.hk", "gov.hk",
+  "com.tw", "org.tw", "edu.tw", "gov.tw",
+  "com.sg", "edu.sg", "gov.sg", "org.sg",
+  "com.my", "org.my", "gov.my", "edu.my",
+  "co.id", "or.id", "ac.id", "go.id",
+  "co.th", "or.th", "ac.th", "go.th", "in.th",
+  "com.mx", "org.mx", "gob.mx", "edu.mx",
+  "com.ar", "org.ar", "gob.ar", "edu.ar",
+  "com.tr", "org.tr", "gov.tr", "edu.tr",
+  "co.il", "org.il", "ac.il", "gov.il",
+  "com.ua", "org.ua", "gov.ua", "edu.ua",
+  "com.pl", "org.pl", "net.pl", "gov.pl",
+  "com.es", "org.es", "gob.es", "edu.es",
+  "com.vn", "gov.vn", "edu.vn",
+  "com.ph", "gov.ph", "edu.ph",
+  "com.pk", "gov.pk", "edu.pk",
+  "com.eg", "gov.eg", "edu.eg",
+  "com.sa", "gov.sa", "edu.sa",
+  "com.ng", "gov.ng", "edu.ng",
+  "co.ke", "or.ke", "ac.ke", "go.ke"
+]);
+
+/**
+ * List a domain and its parent domains, most specific first
+ * Stops before the public suffix: "old.reddit.com" gives old.reddit.com and reddit.com,
+ * "news.bbc.co.uk" gives news.bbc.co.uk and bbc.co.uk, "news.orf.at" gives news.orf.at and orf.at
+ * @param {string} domain - Normalized domain
+ * @returns {string[]} Domains to offer
+ */
+function domainSuggestions(domain) {
+  if (/^\d+(\.\d+){3}$/.test(domain)) return [domain]; // IPv4 addresses have no parents
+  
+  const labels = domain.split(".");
+  const suffixLength = labels.length > 2 && SECOND_LEVEL_SUFFIXES.has(labels.slice(-2).join(".")) ? 2 : 1;
+  const domains = [];
+  for (let i = 0; labels.length - i > suffixLength; i++) {
+    domains.push(labels.slice(i).join("."));
+  }
+  return domains.length ? domains : [domain];
+}
+
+/**
+ * Show "Block <domain>" buttons for the active tab's site
+ * Hidden in allowlist mode, on non-web tabs and once a listed domain covers the site
+ * @param {string[]} blockedDomains - Current blocklist
+ */
+function renderCurrentSite(blockedDomains) {
+  const blocked = new Set(blockedDomains);
+  const all = currentMode === "block" && currentTabHost ? domainSuggestions(currentTabHost) : [];
+  // Blocking a parent domain already covers every subdomain below it
+  const offers = all.filter((d, i) => !all.slice(i).some(parent => blocked.has(parent)));
+  
+  currentSiteEl.hidden = offers.length === 0;
+  const label = getMessage('blockCurrentSite') || 'Block';
+  currentSiteEl.replaceChildren(...offers.map(d => {
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "ghost btn-mini";
+    btn.textContent = `${label} ${d}`;
+    // Same flow as the add form: listed right away, removed again if access is denied
+    btn.onclick = async () => {
+      await addBlockedWithPermission(d);
+      await render();
+    };
+    return btn;
+  }));
+}
+
+/* ========== IMPORT PREVIEW ========== */
+
+/**
+ * Compare imported entries against the current lists
+ * @param {Object} imported - { profileName: entries[] } as read from the file
+ * @param {Object} options - { parsed: parseBlocklistText result for shared lists, allowed: allowlist entries }
+ * @returns {Promise<Object>} {
+ *   activeProfile,
+ *   items: [{ profile, entry, selected }],  entries not in their profile yet
+ *   present: [{ profile, entry }],          entries already in their profile
+ *   invalid: [{ profile, line, text }],     invalid or unsupported entries (line 0 if unknown)
+ *   duplicates, comments,                   counts of skipped lines
+ *   allowed                                 allowlist entries not allowed yet
+ * }
+ */
+async function buildImportPreview(imported, { parsed = null, allowed = [] } = {}) {
+  const { activeProfile = DEFAULT_PROFILE, profiles = {} } = await readSync(["activeProfile", "profiles"]);
+  const current = { ...profiles, [activeProfile]: await getBlocked() };
+  
+  const preview = {
+    activeProfile,
+    items: [],
+    present: [],
+    invalid: parsed ? parsed.invalid.map(i => ({ profile: activeProfile, ...i })) : [],
+    duplicates: parsed ? parsed.duplicates.length : 0,
+    comments: parsed ? parsed.comments : 0,
+    allowed: []
+  };
+  
+  for (const [name, list] of Object.entries(imported)) {
+    if (!isValidProfileName(name) || !Array.isArray(list)) continue;
+    const existing = new Set(current[name] || []);
+    const seen = new Set();
+    for (const raw of list) {
+      const entry = normalizeEntry(raw);
+      if (!entry || !(await isEntrySupported(entry))) {
+        preview.invalid.push({ profile: name, line: 0, text: String(raw) });
+      } else if (seen.has(entry)) {
+        preview.duplicates++;
+      } else {
+        seen.add(entry);
+        if (existing.has(entry)) preview.present.push({ profile: name, entry });
+        else preview.items.push({ profile: name, entry, selected: true });
+      }
+    }
+  }
+  
+  const allowedNow = new Set(await getAllowed());
+  preview.allowed = [...new Set(allowed.map(normalizeDomain).filter(d => d && !allowedNow.has(d)))];
+  return preview;
+}
+
+/**
+ * Build one entry's text for the preview, tagged with its profile if not the active one
+ * @param {Object} preview - Import preview
+ * @param {Object} item - { profile, entry } or { profile, line, text }
+ * @returns {HTMLElement} Span element
+ */
+function importItemLabel(preview, item) {
+  const span = document.createElement("span");
+  const lineMsg = getMessage("importLine") || "line";
+  span.textContent = item.line ? `${lineMsg} ${item.line}: ${item.text}` : (item.entry ?? item.text);
+  if (item.profile !== preview.activeProfile) {
+    const tag = document.createElement("span");
+    tag.className = "profile-tag";
+    tag.textContent = ` · ${item.profile}`;
+    span.appendChild(tag);
+  }
+  return span;
+}
+
+/**
+ * Build a collapsible group of preview entries
+ * @param {string} title - Group heading
+ * @param {HTMLElement[]} rows - List items
+ * @param {boolean} open - Whether the group starts expanded
+ * @returns {HTMLElement} Details element
+ */
+function importGroup(title, rows, open) {
+  const details = document.createElement("details");
+  details.open = open;
+  const summary = document.createElement("summary");
+  summary.textContent = `${title} (${rows.length})`;
+  const ul = document.createElement("ul");
+  ul.append(...rows);
+  details.append(summary, ul);
+  return details;
+}
+
+/**
+ * Render the preview dialog: new entries to pick from, plus what will be skipped
+ */
+function renderImportPreview() {
+  const preview = importPreview;
+  const selected = preview.items.filter(item => item.selected).length;
+  
+  const counts = [
+    `${getMessage("importNew") || "New"}: ${preview.items.length}`,
+    `${getMessage("importPresent") || "Already in list"}: ${preview.present.length}`,
+    `${getMessage("importInvalid") || "Invalid or unsupported"}: ${preview.invalid.length}`
+  ];
+  if (preview.duplicates) counts.push(`${getMessage("importDuplicates") || "Duplicates skipped"}: ${preview.duplicates}`);
+  if (preview.comments) counts.push(`${getMessage("importComments") || "Comment lines skipped"}: ${preview.comments}`);
+  if (preview.allowed.length) counts.push(`${getMessage("importAllowed") || "Allowlist entries"}: ${preview.allowed.length}`);
+  importSummaryEl.textContent = counts.join(" · ");
+  
+  const groups = [];
+  if (preview.items.length) {
+    const rows = preview.items.map(item => {
+      const li = document.createElement("li");
+      const label = document.createElement("label");
+      const box = document.createElement("input");
+      box.type = "checkbox";
+      box.checked = item.selected;
+      box.onchange = () => {
+        item.selected = box.checked;
+        renderImportPreview();
+      };
+      label.append(box, importItemLabel(preview, item));
+      li.appendChild(label);
+      return li;
+    });
+    groups.push(importGroup(getMessage("importNew") || "New", rows, true));
+  }
+  const plainRows = list => list.map(item => {
+    const li = document.createElement("li");
+    li.appendChild(importItemLabel(preview, item));
+    return li;
   });
+  if (preview.present.length) {
+    groups.push(importGroup(getMessage("importPresent") || "Already in list", plainRows(preview.present), false));
+  }
+  if (preview.invalid.length) {
+    groups.push(importGroup(getMessage("importInvalid") || "Invalid or unsupported", plainRows(preview.invalid), false));
+  }
+  if (!preview.items.length && !preview.allowed.length) {
+    const p = document.createElement("p");
+    p.className = "muted";
+    p.textContent = getMessage("importNothing") || "Nothing new to import";
+    groups.push(p);
+  }
+  
+  // Keep the open/closed state of groups across re-renders (checkbox changes)
+  const wasOpen = [...importBodyEl.querySelectorAll("details")].map(d => d.open);
+  importBodyEl.replaceChildren(...groups);
+  if (wasOpen.length === groups.length) {
+    importBodyEl.querySelectorAll("details").forEach((d, i) => { d.open = wasOpen[i]; });
+  }
+  
+  importToggleBtn.hidden = !preview.items.length;
+  importToggleBtn.textContent = preview.items.some(item => !item.selected)
+    ? (getMessage("importSelectAll") || "Select all")
+    : (getMessage("importSelectNone") || "Select none");
+  importCancelBtn.textContent = getMessage("importCancel") || "Cancel";
+  importConfirmBtn.hidden = false;
+  importConfirmBtn.textContent = `${getMessage("importConfirm") || "Import"} (${selected})`;
+  importConfirmBtn.disabled = !selected && !preview.allowed.length;
+}
+
+/**
+ * Save the chosen entries into their profiles and the allowlist
+ * Profiles that don't exist yet are created; the active one goes through setBlocked
+ * Asks for the PIN (if one is set) before anything is written
+ * @param {Object} preview - Import preview
+ * @param {Object[]} chosen - Selected preview items
+ * @returns {Promise<Object>} Service worker response for the profiles and allowlist
+ */
+async function applyImport(preview, chosen) {
+  const { profiles = {} } = await readSync("profiles");
+  const activeAdds = [];
+  for (const { profile, entry } of chosen) {
+    if (profile === preview.activeProfile) {
+      activeAdds.push(entry);
+    } else {
+      profiles[profile] = [...new Set([...(profiles[profile] || []), entry])].sort();
+    }
+  }
+  // Allowlist entries need no per-site permission
+  const items = { profiles };
+  if (preview.allowed.length) {
+    const allowed = (await getAllowed()).concat(preview.allowed);
+    items.allowedDomains = [...new Set(allowed.map(normalizeDomain).filter(Boolean))].sort();
+  }
+  const res = await sendProtected({ cmd: "saveSettings", items });
+  if (!res?.ok) return res;
+  
+  const current = await getBlocked();
+  await setBlocked(current.concat(activeAdds));
+  await render();
+  return res;
+}
+
+/**
+ * Replace the preview with a summary of what the import did
+ * @param {Object} preview - Import preview
+ * @param {Object} result - { granted, refusal, added, notSelected }
+ */
+function renderImportResult(preview, { granted, refusal, added, notSelected }) {
+  const lines = [];
+  if (refusal) lines.push(refusal);
+  if (!granted) lines.push(getMessage("importDenied") || "Permission denied: nothing was imported");
+  lines.push(
+    `${getMessage("importAdded") || "Entries added"}: ${added}`,
+    `${getMessage("importPresent") || "Already in list"}: ${preview.present.length}`,
+    `${getMessage("importNotSelected") || "Not selected"}: ${notSelected}`,
+    `${getMessage("importInvalid") || "Invalid or unsupported"}: ${preview.invalid.length}`
+  );
+  if (preview.duplicates) lines.push(`${getMessage("importDuplicates") || "Duplicates skipped"}: ${preview.duplicates}`);
+  if (preview.comments) lines.push(`${getMessage("importComments") || "Comment lines skipped"}: ${preview.comments}`);
+  if (granted && !refusal && preview.allowed.length) lines.push(`${getMessage("importAllowed") || "Allowlist entries"}: ${preview.allowed.length}`);
+  
+  const ul = document.createElement("ul");
+  ul.className = "import-result";
+  for (const text of lines) {
+    const li = document.createElement("li");
+    li.textContent = text;
+    ul.appendChild(li);
+  }
+  importSummaryEl.textContent = "";
+  importBodyEl.replaceChildren(ul);
+  importToggleBtn.hidden = true;
+  importConfirmBtn.hidden = true;
+  importCancelBtn.textContent = getMessage("importClose") || "Close";
+  importPreview = null;
+  importCancelBtn.focus();
 }
 
 /* ========== EVENT HANDLERS ========== */
 
+// Live preview of pattern entries while typing
+domainInput.addEventListener("input", renderPatternPreview);
+
 // Handle form submission to add a domain
 addForm.addEventListener("submit", async (e) => {
   e.preventDefault();
   
-  // Normalize and validate the domain
-  const d = normalizeDomain(domainInput.value);
-  if (!d) {
+  // Normalize and validate the entry (the allowlist only takes plain domains)
+  const d = currentMode === "allow"
+    ? normalizeDomain(domainInput.value)
+    : normalizeEntry(domainInput.value);
+  if (!d || !(await isEntrySupported(d))) {
     // Show error feedback with shake animation
     domainInput.style.border = '1px solid var(--danger)';
     domainInput.classList.add('shake');
@@ -374,38 +1691,21 @@ addForm.addEventListener("submit", async (e) => {
     return;
   }
   
-  // Get current blocklist
-  const original = await getBlocked();
-  
-  // Mark as pending while we request permission
-  await chrome.runtime.sendMessage({ cmd: "markPending", domain: d });
-  
-  // Add to list immediately for instant feedback
-  if (!original.includes(d)) {
-    await setBlocked([...original, d]);
+  // Allowlist mode: no per-site permission needed, but each entry unblocks a site
+  if (currentMode === "allow") {
+    if (await refuseIfLocked() || !(await setAllowed([...(await getAllowed()), d]))) return;
+    domainInput.value = "";
+    renderPatternPreview();
+    domainInput.focus();
+    return;
   }
   
-  // Request permission for this domain
-  let granted = false;
-  try {
-    granted = await requestOriginPermission(d);
-  } catch (err) {
-    // Permission request failed silently
-  }
-  
-  if (!granted) {
-    // User denied permission - clear pending FIRST, then restore list
-    await chrome.runtime.sendMessage({ cmd: "markGranted", domain: d });
-    await setBlocked(original);
-    // Force immediate render to ensure UI updates
-    await render();
-  } else {
-    // Permission granted - clear pending status
-    await chrome.runtime.sendMessage({ cmd: "markGranted", domain: d });
-  }
+  // Added right away, and removed again if Chrome's permission prompt is denied
+  await addBlockedWithPermission(d);
   
   // Clear input and refocus
   domainInput.value = "";
+  renderPatternPreview();
   domainInput.focus();
 });
 
@@ -413,30 +1713,238 @@ addForm.addEventListener("submit", async (e) => {
 document.querySelectorAll(".preset[data-min]").forEach(btn => {
   btn.addEventListener("click", async () => {
     const minutes = parseInt(btn.getAttribute("data-min"), 10);
-    await chrome.runtime.sendMessage({ cmd: "pauseForMinutes", minutes });
+    const res = await sendProtected({ cmd: "pauseForMinutes", minutes });
+    if (showRefusal(res)) return;
     await render();
   });
 });
 
+// Profile switcher and actions
+profileSelect.addEventListener("change", () => {
+  profileCommand({ cmd: "switchProfile", name: profileSelect.value });
+});
+
+document.getElementById("profile-new").onclick = () => {
+  const name = prompt(getMessage('profileNamePrompt') || 'Profile name');
+  if (name) profileCommand({ cmd: "createProfile", name: name.trim() });
+};
+
+document.getElementById("profile-duplicate").onclick = () => {
+  const from = profileSelect.value;
+  const name = prompt(getMessage('profileNamePrompt') || 'Profile name', `${from} copy`);
+  if (name) profileCommand({ cmd: "createProfile", name: name.trim(), copyFrom: from });
+};
+
+document.getElementById("profile-rename").onclick = () => {
+  const from = profileSelect.value;
+  const name = prompt(getMessage('profileNamePrompt') || 'Profile name', from);
+  if (name && name.trim() !== from) profileCommand({ cmd: "renameProfile", name: from, newName: name.trim() });
+};
+
+document.getElementById("profile-delete").onclick = () => {
+  // The service worker switches to another profile before deleting the active one
+  const name = profileSelect.value;
+  const confirmMsg = getMessage('profileDeleteConfirm') || 'Delete this profile and its blocklist?';
+  if (confirm(`${confirmMsg} (${name})`)) profileCommand({ cmd: "deleteProfile", name });
+};
+
+// Daily budget reset time
+budgetResetInput.addEventListener("change", async () => {
+  if (isNaN(parseTimeOfDay(budgetResetInput.value))) return;
+  await saveSettings({ budgetResetTime: budgetResetInput.value });
+});
+
+// Global snooze friction (domains can override it in their settings panel)
+frictionSelect.addEventListener("change", async () => {
+  if (!FRICTION_TYPES.includes(frictionSelect.value)) return;
+  await saveSettings({ snoozeFriction: frictionSelect.value });
+});
+
+// Focus intention for the blocked page
+intentionInput.addEventListener("change", async () => {
+  await chrome.storage.sync.set({ focusIntention: intentionInput.value.trim().slice(0, MAX_INTENTION_LENGTH) });
+});
+
+// Quotes for the blocked page, from a local text file (kept on this device)
+document.getElementById("quotes-load").onclick = () => quotesFile.click();
+
+quotesFile.onchange = async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  try {
+    const blockedQuotes = parseQuotes(await file.text());
+    await chrome.storage.local.set({ blockedQuotes });
+  } finally {
+    quotesFile.value = "";
+  }
+};
+
+quotesClearBtn.onclick = async () => {
+  await chrome.storage.local.remove("blockedQuotes");
+};
+
+// Snooze limits (0 = unlimited / no cooldown)
+[snoozePerDayInput, snoozeCooldownInput].forEach(input => {
+  input.addEventListener("change", async () => {
+    const perDay = parseInt(snoozePerDayInput.value, 10);
+    const cooldown = parseInt(snoozeCooldownInput.value, 10);
+    if (!Number.isInteger(perDay) || perDay < 0 || perDay > 100) return;
+    if (!Number.isInteger(cooldown) || cooldown < 0 || cooldown > MAX_SNOOZE_COOLDOWN) return;
+    await saveSettings({ snoozeLimits: { perDay, cooldown } });
+  });
+});
+
+// Mode switch
+modeBlockBtn.onclick = () => setMode("block");
+modeAllowBtn.onclick = () => setMode("allow");
+
+// Focus session start/stop
+sessionStartBtn.onclick = async () => {
+  const read = id => parseInt(document.getElementById(id).value, 10);
+  const res = await chrome.runtime.sendMessage({
+    cmd: "startSession",
+    work: read("session-work"),
+    shortBreak: read("session-short"),
+    longBreak: read("session-long"),
+    cycles: read("session-cycles")
+  });
+  if (!res?.ok) {
+    sessionFields.classList.add('shake');
+    setTimeout(() => sessionFields.classList.remove('shake'), 500);
+    return;
+  }
+  await render();
+};
+
+sessionStopBtn.onclick = async () => {
+  const res = await sendProtected({ cmd: "stopSession" });
+  if (showRefusal(res)) return;
+  await render();
+};
+
 // Resume all button
 resumeBtn.onclick = async () => {
-  await chrome.runtime.sendMessage({ cmd: "resumeNow" });
+  const res = await chrome.runtime.sendMessage({ cmd: "resumeNow" });
+  if (showRefusal(res)) return;
   await render();
 };
 
-// Export blocklist
-exportBtn.onclick = async () => {
-  const { blockedDomains = [] } = await chrome.storage.sync.get("blockedDomains");
-  const data = JSON.stringify({ blockedDomains }, null, 2);
+// PIN protection: set or change the PIN, then hand out the recovery code
+pinForm.addEventListener("submit", async (e) => {
+  e.preventDefault();
+  if (pinNewInput.value.length < 4) {
+    pinStatusEl.textContent = getMessage('pinTooShort') || 'Use at least 4 characters';
+    return;
+  }
+  if (pinNewInput.value !== pinRepeatInput.value) {
+    pinStatusEl.textContent = getMessage('pinMismatch') || "The PINs don't match";
+    return;
+  }
+  
+  const res = await sendProtected({ cmd: "setPin", pin: pinNewInput.value });
+  if (!res?.ok) {
+    pinStatusEl.textContent = pinRefusalText(res);
+    return;
+  }
+  pinNewInput.value = "";
+  pinRepeatInput.value = "";
   
-  // Create and download JSON file
-  const blob = new Blob([data], { type: "application/json" });
+  // Shown once: the service worker only keeps its hash
+  downloadFile(`FocusGate recovery code\n${res.recoveryCode}\n`, "focusgate-recovery-code.txt", "text/plain");
+  const note = getMessage('pinRecoveryCode') ||
+    'Recovery code (also saved as a file). Keep it somewhere safe: it is the only way to remove a forgotten PIN.';
+  alert(`${note}\n\n${res.recoveryCode}`);
+  pinStatusEl.textContent = getMessage('pinSaved') || 'PIN saved';
+  await render();
+});
+
+pinRemoveBtn.onclick = async () => {
+  const res = await sendProtected({ cmd: "clearPin" });
+  pinStatusEl.textContent = res?.ok ? (getMessage('pinRemoved') || 'PIN removed') : pinRefusalText(res);
+  await render();
+};
+
+// Forgotten PIN: the recovery code removes it
+pinRecoverBtn.onclick = async () => {
+  const code = prompt(getMessage('pinRecoveryPrompt') || 'Recovery code');
+  if (!code) return;
+  const res = await chrome.runtime.sendMessage({ cmd: "recoverPin", code });
+  if (res?.ok) {
+    pinStatusEl.textContent = getMessage('pinRecovered') || 'PIN removed. You can set a new one.';
+  } else if (res?.code === "PIN_WRONG") {
+    pinStatusEl.textContent = getMessage('pinWrongRecovery') || 'Wrong recovery code';
+  } else {
+    pinStatusEl.textContent = pinRefusalText(res);
+  }
+  await render();
+};
+
+// Commitment lock: confirm first, it can't be undone
+lockStartBtn.onclick = async () => {
+  if (!lockUntilInput.value) return;
+  const until = nextTimeOfDay(lockUntilInput.value);
+  const question = getMessage('lockConfirm') ||
+    'Lock until the time shown? Until then sites can be added but not removed or snoozed, and this cannot be undone.';
+  if (!confirm(`${question} (${formatClock(until)})`)) return;
+  
+  const res = await chrome.runtime.sendMessage({ cmd: "lock", until });
+  if (showRefusal(res)) return;
+  await render();
+};
+
+// File name extension and MIME type for each export format
+const EXPORT_FILES = {
+  json: { ext: "json", type: "application/json" },
+  text: { ext: "txt", type: "text/plain" },
+  hosts: { ext: "hosts", type: "text/plain" },
+  csv: { ext: "csv", type: "text/csv" },
+  adblock: { ext: "txt", type: "text/plain" }
+};
+
+/**
+ * Download text as a file
+ * @param {string} data - File contents
+ * @param {string} name - File name
+ * @param {string} type - MIME type
+ */
+function downloadFile(data, name, type) {
+  const blob = new Blob([data], { type });
   const url = URL.createObjectURL(blob);
   const a = document.createElement("a");
   a.href = url;
-  a.download = "focusgate-blocklist.json";
+  a.download = name;
   a.click();
   URL.revokeObjectURL(url);
+}
+
+// Export blocklist
+exportBtn.onclick = async () => {
+  const { blockedDomains = [], allowedDomains = [], profiles = {}, activeProfile = DEFAULT_PROFILE } =
+    await readSync(["blockedDomains", "allowedDomains", "profiles", "activeProfile"]);
+  
+  const format = exportFormatSelect.value;
+  const { ext, type } = EXPORT_FILES[format] || EXPORT_FILES.json;
+  const name = `focusgate-blocklist.${ext}`;
+  
+  if (!LIST_FORMATS.includes(format)) {
+    // blockedDomains stays at the top level so older versions can still import the active list
+    const data = JSON.stringify({
+      blockedDomains,
+      allowedDomains,
+      activeProfile,
+      profiles: { ...profiles, [activeProfile]: blockedDomains }
+    }, null, 2);
+    downloadFile(data, name, type);
+    return;
+  }
+  
+  // Shared list formats hold only the active blocklist
+  const { text, skipped } = serializeBlocklist(blockedDomains, format);
+  downloadFile(text, name, type);
+  if (skipped.length) {
+    const msg = getMessage("exportSkipped") || "Left out (this format can't hold them)";
+    alert(`${msg}: ${skipped.length}\n${skipped.join("\n")}`);
+  }
 };
 
 // Import blocklist
@@ -448,40 +1956,33 @@ importFile.onchange = async (e) => {
   
   try {
     const text = await file.text();
-    const json = JSON.parse(text);
+    const { activeProfile = DEFAULT_PROFILE } = await chrome.storage.sync.get("activeProfile");
     
-    // Support both array format and object format
-    const domains = Array.isArray(json) ? json : json.blockedDomains;
-    if (!Array.isArray(domains)) {
-      throw new Error("Invalid format: expected array or {blockedDomains: [...]}");
-    }
-    
-    // Validate and request permissions for each domain
-    const validDomains = [];
-    for (const raw of domains) {
-      const d = normalizeDomain(raw);
-      if (!d) continue;
+    // FocusGate's own JSON export, or a shared list (text, hosts, CSV, adblock) for the active profile
+    if (/^\s*[[{]/.test(text)) {
+      const json = JSON.parse(text);
       
-      // Mark as pending during permission request
-      await chrome.runtime.sendMessage({ cmd: "markPending", domain: d });
-      
-      // Request permission (user can deny individual domains)
-      try {
-        const granted = await requestOriginPermission(d);
-        if (granted) validDomains.push(d);
-      } catch {
-        // Skip domains that fail permission request
+      // Support array format, {blockedDomains: [...]} and the multi-profile export
+      let imported;
+      if (Array.isArray(json)) {
+        imported = { [activeProfile]: json };
+      } else if (json?.profiles && typeof json.profiles === "object") {
+        imported = json.profiles;
+      } else if (Array.isArray(json?.blockedDomains)) {
+        imported = { [activeProfile]: json.blockedDomains };
+      } else {
+        throw new Error("Invalid format: expected array, {blockedDomains: [...]} or {profiles: {...}}");
       }
-      
-      // Clear pending status
-      await chrome.runtime.sendMessage({ cmd: "markGranted", domain: d });
+      importPreview = await buildImportPreview(imported, {
+        allowed: Array.isArray(json?.allowedDomains) ? json.allowedDomains : []
+      });
+    } else {
+      const parsed = parseBlocklistText(text);
+      importPreview = await buildImportPreview({ [activeProfile]: parsed.entries }, { parsed });
     }
     
-    // Add valid domains to blocklist
-    const current = await getBlocked();
-    await setBlocked(current.concat(validDomains));
-    
-    alert(`Import complete: ${validDomains.length} domain(s) added`);
+    renderImportPreview();
+    importDialog.showModal();
     
   } catch (err) {
     alert("Import failed: " + err.message);
@@ -490,6 +1991,58 @@ importFile.onchange = async (e) => {
   }
 };
 
+// Select all / none of the new entries
+importToggleBtn.onclick = () => {
+  if (!importPreview) return;
+  const selectAll = importPreview.items.some(item => !item.selected);
+  importPreview.items.forEach(item => { item.selected = selectAll; });
+  renderImportPreview();
+};
+
+// Import the selected entries after one permission prompt for all of them
+importConfirmBtn.onclick = async () => {
+  const preview = importPreview;
+  if (!preview) return;
+  const chosen = preview.items.filter(item => item.selected);
+  importConfirmBtn.disabled = true;
+  
+  // Must be the first await: Chrome only shows the prompt during the click's user gesture
+  const granted = await requestOriginsPermission(chosen.map(item => entryHost(item.entry)));
+  const res = granted ? await applyImport(preview, chosen) : null;
+  const refusal = res && !res.ok ? pinRefusalText(res) || getMessage('commandFailed') || 'Something went wrong' : "";
+  
+  renderImportResult(preview, {
+    granted,
+    refusal,
+    added: granted && !refusal ? chosen.length : 0,
+    notSelected: preview.items.length - chosen.length
+  });
+};
+
+// Closing the dialog (Cancel, Close or Escape) drops the pending import
+importDialog.addEventListener("close", () => {
+  importPreview = null;
+  importBodyEl.replaceChildren();
+});
+
+// Filter the list while typing
+listFilterInput.addEventListener("input", () => { render(); });
+
+// Options page for managing large blocklists
+document.getElementById("manage-all").addEventListener("click", () => {
+  chrome.runtime.openOptionsPage();
+});
+
+// Chrome's own page for changing the keyboard shortcuts
+document.getElementById("shortcuts-edit").addEventListener("click", () => {
+  chrome.tabs.create({ url: "chrome://extensions/shortcuts" });
+});
+
+// Statistics dashboard opens in its own tab
+document.getElementById("stats-btn").addEventListener("click", () => {
+  chrome.tabs.create({ url: chrome.runtime.getURL("dashboard.html") });
+});
+
 // Theme toggle button
 if (themeToggleBtn) {
   themeToggleBtn.addEventListener('click', async () => {
@@ -508,20 +2061,25 @@ if (languageSelect) {
     await loadLocale(selected);
     applyI18n();
     await render();
+    await renderShortcuts();
   });
 }
 
 // Listen for storage changes to sync UI across multiple popups
 chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === "sync" && changes.blockedDomains) {
-    render();
+  if (syncValueChanged(changes, area, CHUNKED_SYNC_KEYS) ||
+      (area === "sync" && (changes.budgetResetTime || changes.blockMode || changes.activeProfile ||
+      changes.snoozeFriction || changes.snoozeLimits || changes.pinProtection || changes.focusIntention))) {
+    scheduleRender();
   }
   
   if (area === "local") {
     // Update UI when pauses change
-    if (changes.pausedUntilTs || changes.pausedDomains || changes.pendingGrants) {
-      render();
+    if (changes.pausedUntilTs || changes.pausedDomains || changes.pendingGrants || changes.focusSession ||
+        changes.budgetUsage || changes.snoozeLog || changes.commitLock || changes.ruleStatus) {
+      scheduleRender();
     }
+    if (changes.blockedQuotes) renderQuotes();
     
     // Apply theme changes
     if (changes.darkMode) {
@@ -534,6 +2092,7 @@ chrome.storage.onChanged.addListener((changes, area) => {
       loadLocale(newLang).then(() => {
         applyI18n();
         render();
+        renderShortcuts();
       });
     }
   }
@@ -554,9 +2113,29 @@ async function initializePrefs() {
   if (languageSelect) languageSelect.value = lang;
   await loadLocale(lang);
   applyI18n();
+  configureUnlock(getMessage);
   
   // Render initial state
+  currentTabHost = await getCurrentTabHost();
   await render();
+  await renderShortcuts();
+  await renderQuotes();
+  
+  // A shortcut or context menu that couldn't ask for access itself leaves its site here
+  const { quickAddDomain } = await chrome.storage.session.get("quickAddDomain");
+  if (quickAddDomain) {
+    await chrome.storage.session.remove("quickAddDomain");
+    domainInput.value = quickAddDomain;
+    renderPatternPreview();
+    domainInput.focus();
+  }
+  
+  // Tick the focus session and snooze countdowns while the popup is open
+  setInterval(() => {
+    if (currentSession) renderSession();
+    // Only while the status line still shows the snooze (a refusal may have replaced it)
+    if (currentPauseUntil > Date.now() && statusEl.textContent === pauseStatusText) renderPauseStatus();
+  }, 1000);
 }
 
 // Initialize when DOM is ready
@@ -0,0 +1,207 @@
+// FocusGate Schedule Helpers
+// Purpose: Evaluates weekly blocking windows ("Mon–Fri 09:00–17:30"), daily budget periods, snooze allowances
+// and commitment locks
+// Shared by the service worker (importScripts), popup and blocked page (<script>)
+//
+// A schedule is an array of windows: { days: [0-6], start: "HH:MM", end: "HH:MM" }
+// Days follow Date#getDay() (0 = Sunday). All times are local wall-clock time,
+// so DST changes are handled by the Date constructor rather than by fixed offsets.
+// A window whose end is at or before its start runs past midnight into the next day.
+
+/**
+ * Convert "HH:MM" to minutes after midnight
+ * @param {string} hhmm - Time string in 24h format
+ * @returns {number} Minutes after midnight, or NaN if invalid
+ */
+function parseTimeOfDay(hhmm) {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(hhmm || "");
+  if (!match) return NaN;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Check that a schedule window is well formed
+ * @param {Object} w - Window to validate
+ * @returns {boolean} True if valid
+ */
+function isValidScheduleWindow(w) {
+  if (!w || !Array.isArray(w.days) || w.days.length === 0) return false;
+  if (!w.days.every(d => Number.isInteger(d) && d >= 0 && d <= 6)) return false;
+  return !isNaN(parseTimeOfDay(w.start)) && !isNaN(parseTimeOfDay(w.end));
+}
+
+/**
+ * Check whether any window of a schedule covers the given moment
+ * An empty or missing schedule means "always active"
+ * @param {Object[]} windows - Schedule windows
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {boolean} True if blocking should be active
+ */
+function isScheduleActive(windows, date = new Date()) {
+  const valid = (windows || []).filter(isValidScheduleWindow);
+  if (!valid.length) return true;
+
+  const day = date.getDay();
+  const prevDay = (day + 6) % 7;
+  const mins = date.getHours() * 60 + date.getMinutes();
+
+  return valid.some(w => {
+    const start = parseTimeOfDay(w.start);
+    const end = parseTimeOfDay(w.end);
+    if (start < end) {
+      return w.days.includes(day) && mins >= start && mins < end;
+    }
+    // Overnight window: the tail belongs to the day the window started on
+    return (w.days.includes(day) && mins >= start) || (w.days.includes(prevDay) && mins < end);
+  });
+}
+
+/**
+ * Find the next moment a schedule starts or stops blocking
+ * @param {Object[]} windows - Schedule windows
+ * @param {Date} date - Moment to search from (defaults to now)
+ * @returns {number} Timestamp of the next boundary, or 0 if there is none
+ */
+function nextScheduleBoundary(windows, date = new Date()) {
+  const valid = (windows || []).filter(isValidScheduleWindow);
+  const now = date.getTime();
+  let next = 0;
+
+  // Look one day back (for overnight windows) and a full week ahead
+  for (let offset = -1; offset <= 7; offset++) {
+    const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+    for (const w of valid) {
+      if (!w.days.includes(day.getDay())) continue;
+      const start = parseTimeOfDay(w.start);
+      const end = parseTimeOfDay(w.end);
+      // Build each boundary from local date parts so DST shifts are respected
+      const startTs = new Date(day.getFullYear(), day.getMonth(), day.getDate(),
+        Math.floor(start / 60), start % 60).getTime();
+      const endTs = new Date(day.getFullYear(), day.getMonth(), day.getDate() + (end <= start ? 1 : 0),
+        Math.floor(end / 60), end % 60).getTime();
+      for (const ts of [startTs, endTs]) {
+        if (ts > now && (!next || ts < next)) next = ts;
+      }
+    }
+  }
+  return next;
+}
+
+/* ========== DAILY BUDGET PERIODS ========== */
+// Time budgets count usage per day, where a "day" starts at a configurable local time
+
+const DEFAULT_BUDGET_RESET = "00:00";
+
+/**
+ * Find when the current budget day started
+ * @param {string} resetTime - "HH:MM" local time budgets reset at
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {number} Timestamp of the most recent reset
+ */
+function budgetPeriodStart(resetTime, date = new Date()) {
+  const reset = isNaN(parseTimeOfDay(resetTime)) ? 0 : parseTimeOfDay(resetTime);
+  const at = dayOffset => new Date(date.getFullYear(), date.getMonth(), date.getDate() + dayOffset,
+    Math.floor(reset / 60), reset % 60).getTime();
+  return at(0) <= date.getTime() ? at(0) : at(-1);
+}
+
+/**
+ * Find when the next budget day starts
+ * @param {string} resetTime - "HH:MM" local time budgets reset at
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {number} Timestamp of the next reset
+ */
+function nextBudgetReset(resetTime, date = new Date()) {
+  const reset = isNaN(parseTimeOfDay(resetTime)) ? 0 : parseTimeOfDay(resetTime);
+  const start = new Date(budgetPeriodStart(resetTime, date));
+  // Built from date parts so a DST change doesn't shift the reset time
+  return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1,
+    Math.floor(reset / 60), reset % 60).getTime();
+}
+
+/* ========== SNOOZE ALLOWANCES ========== */
+// Optional limits on snoozing: a number of snoozes per day and a cooldown between them.
+// Each domain has its own allowance; global snoozes are counted under GLOBAL_SNOOZE_KEY.
+// Days start at the budget reset time so "today" means the same thing everywhere.
+//
+// Limits: { perDay, cooldown } (0 = unlimited / no cooldown, cooldown in minutes)
+// Log:    { periodStart, counts: { target: n }, last: { target: ts } }
+
+const GLOBAL_SNOOZE_KEY = "*";
+const MAX_SNOOZE_COOLDOWN = 1440; // Minutes
+
+/**
+ * Work out how many snoozes are left for a target and when the next one is allowed
+ * @param {string} target - Blocked entry, or GLOBAL_SNOOZE_KEY
+ * @param {Object} limits - { perDay, cooldown }
+ * @param {Object} log - Snooze log from local storage
+ * @param {string} resetTime - "HH:MM" local time the snooze day starts at
+ * @param {number} now - Timestamp to evaluate at (defaults to now)
+ * @returns {Object} { remaining (null = unlimited), availableAt (0 = available now) }
+ */
+function snoozeAllowance(target, limits, log, resetTime, now = Date.now()) {
+  const perDay = limits?.perDay || 0;
+  const cooldown = limits?.cooldown || 0;
+  const today = budgetPeriodStart(resetTime, new Date(now));
+  const used = log?.periodStart === today ? (log.counts?.[target] || 0) : 0;
+  
+  const remaining = perDay ? Math.max(0, perDay - used) : null;
+  let availableAt = remaining === 0 ? nextBudgetReset(resetTime, new Date(now)) : 0;
+  
+  const cooledAt = (log?.last?.[target] || 0) + cooldown * 60000;
+  if (cooldown && cooledAt > now) availableAt = Math.max(availableAt, cooledAt);
+  
+  return { remaining, availableAt };
+}
+
+/**
+ * Add a snooze to the log
+ * @param {Object} log - Snooze log from local storage (may be missing)
+ * @param {string} target - Blocked entry, or GLOBAL_SNOOZE_KEY
+ * @param {string} resetTime - "HH:MM" local time the snooze day starts at
+ * @param {number} now - Timestamp of the snooze (defaults to now)
+ * @returns {Object} Updated log
+ */
+function recordSnooze(log, target, resetTime, now = Date.now()) {
+  const today = budgetPeriodStart(resetTime, new Date(now));
+  const counts = log?.periodStart === today ? { ...log.counts } : {};
+  counts[target] = (counts[target] || 0) + 1;
+  
+  // Timestamps older than the longest possible cooldown no longer matter
+  const last = {};
+  for (const [t, ts] of Object.entries(log?.last || {})) {
+    if (ts > now - MAX_SNOOZE_COOLDOWN * 60000) last[t] = ts;
+  }
+  last[target] = now;
+  
+  return { periodStart: today, counts, last };
+}
+
+
+/* ========== COMMITMENT LOCK ========== */
+// Blocking can be locked until a chosen time: until then snoozing, resuming and
+// shrinking the blocklist are refused. The lock is kept in local storage as
+// { until, blocked, allowed, mode, exceptions }: its end time and the lists, mode and
+// per-site exceptions it protects.
+
+const MAX_LOCK_HOURS = 7 * 24;
+
+/**
+ * Get the next time the clock shows "HH:MM" (today if still ahead, otherwise tomorrow)
+ * @param {string} hhmm - Time of day
+ * @param {Date} date - Point in time to look from
+ * @returns {number} Timestamp
+ */
+function nextTimeOfDay(hhmm, date = new Date()) {
+  return nextBudgetReset(hhmm, date);
+}
+
+/**
+ * Get the lock if it is still running
+ * @param {Object|null} lock - Stored commitLock
+ * @param {number} now - Current timestamp
+ * @returns {Object|null} The lock, or null when there is none or it has ended
+ */
+function activeLock(lock, now = Date.now()) {
+  return lock && lock.until > now ? lock : null;
+}
\ No newline at end of file
@@ -2,24 +2,45 @@
 // Purpose: Manages blocking rules, snooze timers, and permission reconciliation
 // No external connections, no tracking, all data stored locally
 
+importScripts(
+  "schedule.js", // Weekly blocking windows, budget days, snooze allowances, locks (shared with popup)
+  "entries.js",  // Blocklist entry parsing and rule conditions (shared with popup)
+  "syncstore.js" // Large lists split across sync keys (shared with popup)
+);
+
 const RULE_BASE = 100000; // Starting ID for our dynamic rules
+const RULE_ID_END = RULE_BASE + 90000; // Our rule IDs stay below this
 let _syncing = false;      // Mutex flag to prevent concurrent rule updates
 let _needsResync = false;  // Flag for pending resync after current sync completes
 let _debounceTimer = null; // Timer for debouncing storage changes
 
 /* ========== STORAGE HELPERS ========== */
-// All data is stored in chrome.storage (sync for blocklist, local for temporary state)
+// All data is stored in chrome.storage (sync for blocklist, local for temporary state);
+// lists go through readSync()/writeSync() so they can outgrow one sync item
 
 /**
  * Get current state from storage
- * @returns {Object} Current blocklist, global pause, per-domain pauses, and pending grants
+ * blockedDomains always holds the active profile's list; other profiles are kept aside
+ * @returns {Object} Current blocklist, schedules, exceptions, budgets, redirects, mode and allowlist, global pause, per-domain pauses, pending grants, focus session and commitment lock
  */
 async function getState() {
-  const [{ blockedDomains = [] }, { pausedUntilTs = 0, pausedDomains = {}, pendingGrants = {} }] = await Promise.all([
-    chrome.storage.sync.get("blockedDomains"),
-    chrome.storage.local.get(["pausedUntilTs", "pausedDomains", "pendingGrants"])
+  const [
+    {
+      blockedDomains = [], domainSchedules = {}, domainExceptions = {}, domainBudgets = {},
+      domainRedirects = {}, budgetResetTime = DEFAULT_BUDGET_RESET, blockMode = "block", allowedDomains = []
+    },
+    { pausedUntilTs = 0, pausedDomains = {}, pendingGrants = {}, focusSession = null, commitLock = null }
+  ] = await Promise.all([
+    readSync([
+      "blockedDomains", "domainSchedules", "domainExceptions", "domainBudgets", "domainRedirects",
+      "budgetResetTime", "blockMode", "allowedDomains"
+    ]),
+    chrome.storage.local.get(["pausedUntilTs", "pausedDomains", "pendingGrants", "focusSession", "commitLock"])
   ]);
-  return { blockedDomains, pausedUntilTs, pausedDomains, pendingGrants };
+  return {
+    blockedDomains, domainSchedules, domainExceptions, domainBudgets, domainRedirects, budgetResetTime,
+    blockMode, allowedDomains, pausedUntilTs, pausedDomains, pendingGrants, focusSession, commitLock
+  };
 }
 
 /**
@@ -112,6 +133,18 @@ async function hasHostAccess(domain) {
   return false;
 }
 
+/**
+ * Check if the user granted access to all sites (required for allowlist mode)
+ * @returns {boolean} True if we have permission
+ */
+async function hasAllSitesAccess() {
+  try {
+    return await chrome.permissions.contains({ origins: ["*://*/*"] });
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Filter domains to only those we have permission to block
  * Removes domains without permission from the blocklist
@@ -129,7 +162,7 @@ async function reconcileDomains(domains) {
   // Check each domain for permission or pending status
   for (const d of domains) {
     const inPending = pending[d] && pending[d] > now;
-    if (inPending || await hasHostAccess(d)) {
+    if (inPending || await hasHostAccess(entryHost(d))) {
       allowed.push(d);
     } else {
       denied.push(d);
@@ -149,46 +182,480 @@ async function reconcileDomains(domains) {
   // Remove denied domains from blocklist
   if (denied.length) {
     const uniqSorted = Array.from(new Set(allowed)).sort();
-    await chrome.storage.sync.set({ blockedDomains: uniqSorted });
+    await writeSync({ blockedDomains: uniqSorted });
   }
   
   return allowed;
 }
 
+// Settings the popup saves through the service worker (saveSettings command), so the PIN
+// is checked on the write itself
+const SETTINGS_SYNC_KEYS = new Set([
+  "domainSchedules", "domainExceptions", "domainBudgets", "domainFriction", "domainRedirects", "domainNotes",
+  "budgetResetTime", "snoozeFriction", "snoozeLimits", "blockMode", "allowedDomains", "profiles"
+]);
+
+/**
+ * Save settings for the popup (the message handler checks the PIN first)
+ * Switching the mode, adding exceptions or allowlisting sites is refused while locked,
+ * like switching profiles
+ * @param {Object} items - Sync storage values by key, all from SETTINGS_SYNC_KEYS
+ */
+async function saveSettings(items) {
+  const keys = Object.keys(items && typeof items === "object" ? items : {});
+  if (!keys.length || keys.some(key => !SETTINGS_SYNC_KEYS.has(key))) {
+    throw new Error("Invalid settings");
+  }
+  if ("blockMode" in items) {
+    const { blockMode = "block" } = await chrome.storage.sync.get("blockMode");
+    if (items.blockMode !== blockMode) await assertUnlocked();
+  }
+  const lock = await getLock();
+  if (lock && "domainExceptions" in items) {
+    const exceptions = items.domainExceptions || {};
+    if (JSON.stringify(lockedExceptions(exceptions, lock)) !== JSON.stringify(exceptions)) {
+      throw lockError(lock.until); // A new exception would unblock part of a locked site
+    }
+  }
+  if (lock && (items.allowedDomains || []).some(d => !lock.allowed.includes(d))) {
+    throw lockError(lock.until); // A new allowlist entry would unblock a site
+  }
+  await writeSync(items);
+  await syncRules();
+}
+
 /* ========== DECLARATIVE NET REQUEST RULES ========== */
 
 /**
- * Create a blocking rule for a domain
+ * Create a blocking rule for a blocklist entry
  * @param {number} id - Rule ID
- * @param {string} domain - Domain to block
+ * @param {string} entry - Domain or path/wildcard/regex entry to block
+ * @param {string} [reason] - Why it is blocked, shown by the blocked page ("budget")
+ * @param {string} [target] - REDIRECT_BLOCK for a plain block, a validated URL, or empty for the blocked page
+ * @param {boolean} [passUrl] - Match with a regexFilter so the blocked page gets the original URL
  * @returns {Object} DNR rule object
  */
-function domainRule(id, domain) {
-  // Validate domain to prevent XSS in redirect URL
-  const safeDomain = encodeURIComponent(domain);
+function domainRule(id, entry, reason, target, passUrl) {
+  // Encode entry to prevent XSS in redirect URL
+  const safeEntry = encodeURIComponent(entry);
+  const suffix = reason ? `&r=${encodeURIComponent(reason)}` : "";
+  let condition = entryCondition(entry); // ||domain^ matches domain and all subdomains
   
-  return {
-    id,
-    priority: 1,
-    action: { 
+  let action;
+  if (target === REDIRECT_BLOCK) {
+    action = { type: "block" };
+  } else if (target) {
+    action = { type: "redirect", redirect: { url: target } };
+  } else if (passUrl) {
+    // \0 is the whole original URL; it goes last, unencoded, so the blocked page
+    // can return to it after a snooze (it checks the URL is on this entry's site)
+    condition = { regexFilter: entryUrlRegexFilter(entry), isUrlFilterCaseSensitive: false };
+    action = {
+      type: "redirect",
+      redirect: {
+        regexSubstitution: `${chrome.runtime.getURL("/blocked.html")}#d=${safeEntry}${suffix}&u=\\0`
+      }
+    };
+  } else {
+    action = { 
       type: "redirect", 
       redirect: { 
-        extensionPath: `/blocked.html#d=${safeDomain}` 
+        extensionPath: `/blocked.html#d=${safeEntry}${suffix}` 
       } 
-    },
+    };
+  }
+  
+  return {
+    id,
+    priority: 1,
+    action,
     condition: { 
-      urlFilter: `||${domain}^`,  // Matches domain and all subdomains
+      ...condition,
       resourceTypes: ["main_frame"] // Only block navigation, not resources
     }
   };
 }
 
+/**
+ * Create allowlist-mode rules: a catch-all redirect to the blocked page
+ * plus higher-priority allow rules for the domains that stay reachable
+ * @param {string[]} domains - Allowlisted (and currently snoozed) domains
+ * @param {Object} ids - Rule IDs by rule key (see assignRuleIds())
+ * @returns {Object[]} Rule groups: { entry, rules }, the catch-all first and marked reserved
+ */
+function allowlistRules(domains, ids) {
+  const catchAll = {
+    id: ids[ALLOWLIST_RULE_KEY],
+    priority: 1,
+    action: {
+      type: "redirect",
+      redirect: {
+        // \1 is the visited hostname, so the blocked page can offer a per-site snooze;
+        // \0 is the whole original URL, to return to after that snooze
+        regexSubstitution: `${chrome.runtime.getURL("/blocked.html")}#d=\\1&u=\\0`
+      }
+    },
+    condition: {
+      regexFilter: "^https?://(?:www\\.)?([^/:?#]+).*",
+      resourceTypes: ["main_frame"]
+    }
+  };
+  
+  const allows = domains.map(d => ({ entry: d, rules: [allowRule(ids[`allow:${d}`], d)] }));
+  return [{ entry: ALLOWLIST_RULE_KEY, rules: [catchAll], reserved: true }, ...allows];
+}
+
+/**
+ * Create an allow rule that overrides our redirect rules
+ * Used for allowlisted domains and for exceptions inside a blocked domain
+ * @param {number} id - Rule ID
+ * @param {string} entry - Domain or path entry to keep reachable
+ * @returns {Object} DNR rule object
+ */
+function allowRule(id, entry) {
+  return {
+    id,
+    priority: 2, // Beats the priority 1 redirect rules
+    action: { type: "allow" },
+    condition: {
+      ...entryCondition(entry),
+      resourceTypes: ["main_frame"]
+    }
+  };
+}
+
+/* ========== RULE IDS & LIMITS ========== */
+// Every rule has a key ("block:<entry>", "allow:<entry>" or the allowlist catch-all) with an
+// ID that is kept in local storage while the key exists, so adding, snoozing or scheduling
+// one entry only touches that entry's rules. Chrome caps dynamic rules; entries past the
+// caps are left out and listed in ruleStatus for the popup.
+
+const ALLOWLIST_RULE_KEY = "allowlist"; // Key of the allowlist-mode catch-all
+
+/**
+ * List the keys of every rule the lists can produce, snoozed or not, so IDs survive
+ * snoozes, schedules and mode switches
+ * @param {Object} state - Result of getState()
+ * @returns {string[]} Rule keys
+ */
+function ruleKeys({ blockedDomains, domainExceptions, allowedDomains, pausedDomains, blockMode }) {
+  const allowed = [
+    ...blockedDomains.flatMap(d => domainExceptions[d] || []),
+    ...allowedDomains,
+    ...(blockMode === "allow" ? Object.keys(pausedDomains) : []) // Sites snoozed in allowlist mode
+  ];
+  return [
+    ALLOWLIST_RULE_KEY,
+    ...blockedDomains.map(d => `block:${d}`),
+    ...allowed.map(d => `allow:${d}`)
+  ];
+}
+
+/**
+ * Give each rule key a stable ID, reusing the ones handed out before
+ * IDs of keys that are gone are freed; new keys get the lowest free ID
+ * @param {string[]} keys - Rule keys (see ruleKeys())
+ * @returns {Promise<Object>} Rule IDs by key (keys past the ID range get none)
+ */
+async function assignRuleIds(keys) {
+  const { ruleIds = {} } = await chrome.storage.local.get("ruleIds");
+  const ids = {};
+  const used = new Set();
+  for (const key of keys) {
+    if (key in ruleIds && !(key in ids)) {
+      ids[key] = ruleIds[key];
+      used.add(ruleIds[key]);
+    }
+  }
+  
+  let next = RULE_BASE;
+  for (const key of keys) {
+    if (key in ids) continue;
+    while (used.has(next)) next++;
+    if (next >= RULE_ID_END) break;
+    ids[key] = next;
+    used.add(next);
+  }
+  
+  if (JSON.stringify(ids) !== JSON.stringify(ruleIds)) {
+    await chrome.storage.local.set({ ruleIds: ids });
+  }
+  return ids;
+}
+
+/**
+ * Get Chrome's caps on dynamic rules
+ * Redirects count as "unsafe" rules; older Chrome versions only have one combined cap
+ * @returns {Object} { total, unsafe, regex }
+ */
+function dynamicRuleLimits() {
+  const dnr = chrome.declarativeNetRequest;
+  const total = dnr.MAX_NUMBER_OF_DYNAMIC_RULES ?? dnr.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES;
+  return { total, unsafe: dnr.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES ?? total, regex: dnr.MAX_NUMBER_OF_REGEX_RULES };
+}
+
+/**
+ * Keep rule groups within Chrome's limits, in list order
+ * A group (an entry's redirect plus its exceptions) is kept whole or left out.
+ * Reserved groups (the allowlist catch-all) get their slots first; they are not entries,
+ * so one that can't be installed is reported as missing rather than skipped
+ * @param {Object[]} groups - { entry, rules, reserved }
+ * @returns {Object} { rules, skipped: entries left out, missing: reserved groups left out }
+ */
+function fitRuleLimits(groups) {
+  const limits = dynamicRuleLimits();
+  const used = { total: 0, unsafe: 0, regex: 0 };
+  const seen = new Set();
+  const rules = [];
+  const skipped = [];
+  const missing = [];
+  const ordered = [...groups.filter(g => g.reserved), ...groups.filter(g => !g.reserved)];
+  
+  for (const { entry, rules: group, reserved } of ordered) {
+    // An exception listed under two entries is one rule
+    const fresh = [...new Map(group.map(rule => [rule.id, rule])).values()].filter(rule => !seen.has(rule.id));
+    const need = {
+      total: fresh.length,
+      unsafe: fresh.filter(rule => rule.action.type === "redirect").length,
+      regex: fresh.filter(rule => rule.condition.regexFilter).length
+    };
+    if (group.some(rule => !rule.id) || Object.keys(need).some(k => used[k] + need[k] > limits[k])) {
+      (reserved ? missing : skipped).push(entry);
+      continue;
+    }
+    
+    for (const k of Object.keys(need)) used[k] += need[k];
+    for (const rule of fresh) {
+      seen.add(rule.id);
+      rules.push(rule);
+    }
+  }
+  return { rules, skipped, missing };
+}
+
+/**
+ * Check that an installed rule still matches the wanted one
+ * Fields Chrome fills in with defaults are ignored
+ * @param {*} installed - Rule (or part of one) from getDynamicRules()
+ * @param {*} wanted - Rule (or part of one) we built
+ * @returns {boolean} True if every wanted field is installed unchanged
+ */
+function ruleMatches(installed, wanted) {
+  if (Array.isArray(wanted)) {
+    return Array.isArray(installed) && installed.length === wanted.length &&
+      wanted.every((value, i) => ruleMatches(installed[i], value));
+  }
+  if (wanted && typeof wanted === "object") {
+    return !!installed && typeof installed === "object" &&
+      Object.keys(wanted).every(k => ruleMatches(installed[k], wanted[k]));
+  }
+  return installed === wanted;
+}
+
+/**
+ * Work out the smallest update from the installed rules to the wanted ones
+ * Rules outside our ID range are left alone
+ * @param {Object[]} installed - Rules from getDynamicRules()
+ * @param {Object[]} wanted - Rules we want in place
+ * @returns {Object} { removeRuleIds, addRules } for updateDynamicRules()
+ */
+function diffRules(installed, wanted) {
+  const ours = new Map(installed.filter(rule => rule.id >= RULE_BASE && rule.id < RULE_ID_END)
+    .map(rule => [rule.id, rule]));
+  const addRules = wanted.filter(rule => !ruleMatches(ours.get(rule.id), rule));
+  const keep = new Set(wanted.map(rule => rule.id));
+  
+  // Changed rules are removed and added again in the same update
+  for (const rule of addRules) keep.delete(rule.id);
+  const removeRuleIds = [...ours.keys()].filter(id => !keep.has(id));
+  return { removeRuleIds, addRules };
+}
+
+/**
+ * Remember which entries are left out of the rules, or why updating them failed
+ * @param {Object|null} status - { skipped, error }, or null when every entry is in place
+ */
+async function setRuleStatus(status) {
+  const { ruleStatus = null } = await chrome.storage.local.get("ruleStatus");
+  if (JSON.stringify(ruleStatus) === JSON.stringify(status)) return;
+  if (status) {
+    await chrome.storage.local.set({ ruleStatus: status });
+  } else {
+    await chrome.storage.local.remove("ruleStatus");
+  }
+}
+
+/* ========== SCHEDULES ========== */
+
+/**
+ * Arm an alarm for the next schedule boundary so rules flip on time
+ * Recomputed on every sync, so edits and DST changes are picked up
+ * @param {string[]} domains - Blocked domains
+ * @param {Object} schedules - Map of domain to schedule windows
+ */
+function scheduleBoundaryAlarm(domains, schedules) {
+  let next = 0;
+  for (const d of domains) {
+    const ts = nextScheduleBoundary(schedules[d]);
+    if (ts && (!next || ts < next)) next = ts;
+  }
+
+  if (next) {
+    chrome.alarms.create("fg:schedule", { when: next });
+  } else {
+    chrome.alarms.clear("fg:schedule");
+  }
+}
+
+/* ========== TIME BUDGETS ========== */
+// "Allow up to N minutes per day": foreground time on a budgeted entry is counted
+// locally and the entry is blocked through the regular rules once the budget is gone
+
+const MAX_TRACK_GAP = 2 * 60000; // Never count more than 2 minutes between two ticks (sleep, crashes)
+let _trackQueue = Promise.resolve(); // Serializes usage updates
+
+/**
+ * Get today's budget usage, starting fresh when the reset time has passed
+ * @param {string} resetTime - "HH:MM" local time budgets reset at
+ * @returns {Object} { periodStart, used: { entry: ms } }
+ */
+async function getBudgetUsage(resetTime) {
+  const periodStart = budgetPeriodStart(resetTime);
+  const { budgetUsage } = await chrome.storage.local.get("budgetUsage");
+  if (!budgetUsage || budgetUsage.periodStart !== periodStart) {
+    return { periodStart, used: {} };
+  }
+  return budgetUsage;
+}
+
+/**
+ * Check whether an entry used up its daily budget
+ * @param {string} entry - Blocklist entry
+ * @param {Object} budgets - Map of entry to minutes per day
+ * @param {Object} usage - Result of getBudgetUsage()
+ * @returns {boolean} True if a budget is set and spent
+ */
+function isBudgetExhausted(entry, budgets, usage) {
+  const limit = budgets[entry];
+  return typeof limit === "number" && (usage.used[entry] || 0) >= limit * 60000;
+}
+
+/**
+ * Keep the per-minute usage tick and the daily reset alarm in line with the budgets
+ * @param {boolean} anyBudgets - Whether any blocked entry has a budget
+ * @param {string} resetTime - "HH:MM" local time budgets reset at
+ */
+async function scheduleBudgetAlarms(anyBudgets, resetTime) {
+  if (!anyBudgets) {
+    chrome.alarms.clear("fg:budgetTick");
+    chrome.alarms.clear("fg:budgetReset");
+    return;
+  }
+  
+  // Re-creating a periodic alarm restarts its period, so only create it once
+  if (!(await chrome.alarms.get("fg:budgetTick"))) {
+    chrome.alarms.create("fg:budgetTick", { periodInMinutes: 1 });
+  }
+  chrome.alarms.create("fg:budgetReset", { when: nextBudgetReset(resetTime) });
+}
+
+/**
+ * Find the budgeted entry shown in the focused window's active tab
+ * Tab URLs are only visible for sites we hold host permission for, which
+ * covers every blocked entry
+ * @param {string[]} entries - Entries that have a budget
+ * @returns {Object|null} { entry, tabId } or null when nothing budgeted is in front
+ */
+async function foregroundBudgetEntry(entries) {
+  try {
+    if (await chrome.idle.queryState(60) !== "active") return null;
+    const win = await chrome.windows.getLastFocused();
+    if (!win?.focused) return null;
+    const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
+    if (!tab?.url) return null;
+    const entry = entries.find(e => isValidEntry(e) && entryToRegExp(e).test(tab.url));
+    return entry ? { entry, tabId: tab.id } : null;
+  } catch {
+    // No windows (browser closing) or the tab went away
+    return null;
+  }
+}
+
+/**
+ * Credit the time since the last check to the tracked entry, then see what is in front now
+ * When an entry's budget runs out, rules are synced and its tab reloaded so the redirect applies
+ */
+async function trackForeground() {
+  const { blockedDomains, domainBudgets, budgetResetTime } = await getState();
+  const { budgetTracking = null } = await chrome.storage.local.get("budgetTracking");
+  const usage = await getBudgetUsage(budgetResetTime);
+  const now = Date.now();
+  
+  let exhaustedTab = null;
+  if (budgetTracking && domainBudgets[budgetTracking.entry]) {
+    const { entry, tabId, since } = budgetTracking;
+    const before = isBudgetExhausted(entry, domainBudgets, usage);
+    usage.used[entry] = (usage.used[entry] || 0) + Math.max(0, Math.min(now - since, MAX_TRACK_GAP));
+    if (!before && isBudgetExhausted(entry, domainBudgets, usage)) exhaustedTab = tabId;
+  }
+  
+  const budgeted = blockedDomains.filter(d => domainBudgets[d]);
+  const current = budgeted.length ? await foregroundBudgetEntry(budgeted) : null;
+  await chrome.storage.local.set({
+    budgetUsage: usage,
+    budgetTracking: current ? { ...current, since: now } : null
+  });
+  
+  if (exhaustedTab !== null) {
+    await syncRules();
+    try {
+      await chrome.tabs.reload(exhaustedTab);
+    } catch {
+      // Tab was closed in the meantime
+    }
+  }
+}
+
+/**
+ * Queue a foreground check so overlapping events don't double-count time
+ */
+function scheduleTrack() {
+  _trackQueue = _trackQueue.then(trackForeground).catch(() => {});
+}
+
+/* ========== BLOCK STATISTICS ========== */
+// Timestamped block attempts and snoozes, kept on this device only
+// blockStats: { attempts: [[ts, entry], ...], snoozes: [[ts, target], ...] }
+
+const STATS_RETENTION_DAYS = 90;  // Older events are dropped
+const STATS_MAX_EVENTS = 5000;    // Per kind, so local storage stays small
+let _statsQueue = Promise.resolve(); // Serializes statistics updates
+
+/**
+ * Append an event to the statistics, dropping events past the retention limits
+ * @param {string} kind - "attempts" or "snoozes"
+ * @param {string} target - Blocked entry (or GLOBAL_SNOOZE_KEY for global snoozes)
+ * @returns {Promise} Resolves once the event is stored
+ */
+function recordStat(kind, target) {
+  const now = Date.now();
+  _statsQueue = _statsQueue.then(async () => {
+    const { blockStats = {} } = await chrome.storage.local.get("blockStats");
+    const cutoff = now - STATS_RETENTION_DAYS * 86400000;
+    const events = (blockStats[kind] || []).filter(([ts]) => ts >= cutoff);
+    events.push([now, target]);
+    blockStats[kind] = events.slice(-STATS_MAX_EVENTS);
+    await chrome.storage.local.set({ blockStats });
+  }).catch(() => {});
+  return _statsQueue;
+}
+
 /* ========== RULE SYNCHRONIZATION ========== */
 
 /**
  * Sync blocking rules with current state
  * Uses mutex to prevent concurrent updates
- * Clears all rules then adds fresh ones with sequential IDs
+ * Rules keep stable IDs, and only rules that changed are removed or added
  */
 async function syncRules() {
   // Prevent concurrent syncs
@@ -200,31 +667,108 @@ async function syncRules() {
   
   try {
     // Get current state
-    let { blockedDomains, pausedUntilTs, pausedDomains } = await getState();
+    const state = await getState();
+    let {
+      blockedDomains, domainSchedules, domainExceptions, domainBudgets, domainRedirects, budgetResetTime,
+      blockMode, allowedDomains, pausedUntilTs, pausedDomains, focusSession, commitLock
+    } = state;
     const now = Date.now();
+    // A focus session's work interval or a commitment lock keeps everything blocked
+    const lock = activeLock(commitLock, now);
+    const forced = focusSession?.phase === "work" || Boolean(lock);
+    // Exceptions and allowlist entries added during a lock don't count, even before
+    // enforceLock() removes them
+    if (lock) {
+      domainExceptions = lockedExceptions(domainExceptions, lock);
+      allowedDomains = allowedDomains.filter(d => lock.allowed.includes(d));
+    }
+    const globallyPaused = !forced && pausedUntilTs && now < pausedUntilTs;
+    const isPaused = d => !forced && pausedDomains[d] && now < pausedDomains[d];
+
+    // Allowlist mode needs access to every site; fall back to the blocklist if it was revoked
+    if (blockMode === "allow" && !(await hasAllSitesAccess())) {
+      blockMode = "block";
+      await chrome.storage.sync.set({ blockMode });
+    }
+
+    const ids = await assignRuleIds(ruleKeys(state));
+    let desiredGroups;
+    if (blockMode === "allow") {
+      // Everything is blocked except the allowlist and sites snoozed from the blocked page
+      const reachable = [...allowedDomains, ...Object.keys(pausedDomains).filter(isPaused)];
+      desiredGroups = globallyPaused ? [] : allowlistRules([...new Set(reachable)], ids);
+      scheduleBoundaryAlarm([], {});
+    } else {
+      // Only block domains we have permission for, skipping entries Chrome can't compile
+      const permitted = [];
+      for (const d of await reconcileDomains(blockedDomains)) {
+        if (await isEntrySupported(d)) permitted.push(d);
+      }
+
+      // Domains with a daily budget stay reachable until it is used up
+      const usage = await getBudgetUsage(budgetResetTime);
+      const exhausted = d => isBudgetExhausted(d, domainBudgets, usage);
+      const withinBudget = d => domainBudgets[d] && !exhausted(d);
+
+      // Filter out globally paused, individually paused, off-schedule or within-budget domains
+      // During a focus session's work interval or a commitment lock everything stays blocked
+      const activeDomains = forced
+        ? permitted
+        : globallyPaused
+        ? [] // All domains paused
+        : permitted.filter(d => !isPaused(d) && !withinBudget(d) &&
+            isScheduleActive(domainSchedules[d], new Date(now)));
 
-    // Only block domains we have permission for
-    const permitted = await reconcileDomains(blockedDomains);
+      // Wake up again when the next schedule window opens or closes, and keep budgets ticking
+      scheduleBoundaryAlarm(permitted, domainSchedules);
+      await scheduleBudgetAlarms(permitted.some(d => domainBudgets[d]), budgetResetTime);
 
-    // Filter out globally paused or individually paused domains
-    const activeDomains = (pausedUntilTs && now < pausedUntilTs)
-      ? [] // All domains paused
-      : permitted.filter(d => !(pausedDomains[d] && now < pausedDomains[d]));
+      // Custom destinations are checked again against every entry blocked right now: entries
+      // added after a redirect was saved (or edits from elsewhere) could make it loop.
+      // A destination that is blocked falls back to the blocked page
+      const target = d => domainRedirects[d] === REDIRECT_BLOCK
+        ? REDIRECT_BLOCK
+        : normalizeRedirectUrl(domainRedirects[d], activeDomains);
 
-    // Create rules with sequential IDs
-    const desiredRules = activeDomains.map((d, i) => domainRule(RULE_BASE + i, d));
+      // Passing the original URL to the blocked page needs a regex rule, and Chrome caps
+      // those; regex entries and exceptions need theirs, the rest go first come, first served
+      const isRegex = e => parseEntry(e)?.kind === "regex";
+      const regexNeeded = activeDomains.filter(isRegex).length +
+        activeDomains.flatMap(d => domainExceptions[d] || []).filter(isRegex).length;
+      let regexLeft = chrome.declarativeNetRequest.MAX_NUMBER_OF_REGEX_RULES - regexNeeded;
+      const passUrl = d => isRegex(d) || (!target(d) && regexLeft-- > 0);
 
-    // Clear our existing rules (IDs in our range)
+      // One group per entry: its redirect, then its exceptions as higher-priority allow rules
+      desiredGroups = [];
+      for (const d of activeDomains) {
+        const rules = [domainRule(ids[`block:${d}`], d, exhausted(d) ? "budget" : undefined, target(d), passUrl(d))];
+        for (const ex of domainExceptions[d] || []) {
+          if (await isEntrySupported(ex)) rules.push(allowRule(ids[`allow:${ex}`], ex));
+        }
+        desiredGroups.push({ entry: d, rules });
+      }
+    }
+
+    // Apply only what changed, in one atomic update
+    const { rules, skipped, missing } = fitRuleLimits(desiredGroups);
     const existing = await chrome.declarativeNetRequest.getDynamicRules();
-    const ourIds = existing
-      .filter(r => r.id >= RULE_BASE && r.id < RULE_BASE + 90000)
-      .map(r => r.id);
-
-    // Update rules atomically
-    await chrome.declarativeNetRequest.updateDynamicRules({ 
-      removeRuleIds: ourIds, 
-      addRules: desiredRules 
-    });
+    const { removeRuleIds, addRules } = diffRules(existing, rules);
+    try {
+      if (removeRuleIds.length || addRules.length) {
+        await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+      }
+    } catch (err) {
+      await setRuleStatus({ skipped, error: err.message });
+      throw err;
+    }
+    // Without its catch-all, allowlist mode blocks nothing
+    const error = missing.length
+      ? chrome.i18n.getMessage("ruleAllowlistMissing") || "Chrome's rule limit leaves no room for the allowlist rule"
+      : undefined;
+    await setRuleStatus(skipped.length || error ? { skipped, error } : null);
+    
+    // Rules follow pauses, sessions and locks, and so does the badge
+    await updateBadge();
     
   } finally {
     _syncing = false;
@@ -236,18 +780,151 @@ async function syncRules() {
   }
 }
 
+/* ========== TOOLBAR BADGE ========== */
+// Shows at a glance whether blocking is on: time left in a focus session phase or a
+// global snooze, a pause sign while single sites are snoozed, and the commitment lock
+
+const BADGE_COLORS = {
+  work: "#ef4444",    // Focus session work interval
+  break: "#16a34a",   // Focus session break
+  snoozed: "#f59e0b", // Global or per-site snooze
+  locked: "#6d28d9",  // Commitment lock
+  idle: "#2563eb"     // Normal blocking (no text is shown)
+};
+
+/**
+ * Format time left so it fits the badge (about four characters)
+ * @param {number} ms - Milliseconds left
+ * @returns {string} e.g. "25m" or "3h"
+ */
+function badgeTime(ms) {
+  const minutes = Math.max(1, Math.ceil(ms / 60000));
+  return minutes < 60 ? `${minutes}m` : `${Math.floor(minutes / 60)}h`;
+}
+
+/**
+ * Work out the badge for the current state
+ * @param {Object} state - { pausedUntilTs, pausedDomains, focusSession, commitLock } from local storage
+ * @param {number} now - Current timestamp
+ * @returns {Object} { text, color, title, until } (until: end of the countdown shown, if any)
+ */
+function badgeState({ pausedUntilTs = 0, pausedDomains = {}, focusSession = null, commitLock = null }, now) {
+  const say = (key, fallback) => chrome.i18n.getMessage(key) || fallback;
+  
+  if (focusSession && now < focusSession.phaseEndsAt) {
+    const work = focusSession.phase === "work";
+    return {
+      text: badgeTime(focusSession.phaseEndsAt - now),
+      color: work ? BADGE_COLORS.work : BADGE_COLORS.break,
+      title: work ? say("badgeSessionWork", "Focus session: work") : say("badgeSessionBreak", "Focus session: break"),
+      until: focusSession.phaseEndsAt
+    };
+  }
+  
+  if (activeLock(commitLock, now)) {
+    return { text: "LOCK", color: BADGE_COLORS.locked, title: say("badgeLocked", "Commitment lock on") };
+  }
+  
+  if (pausedUntilTs > now) {
+    return {
+      text: badgeTime(pausedUntilTs - now),
+      color: BADGE_COLORS.snoozed,
+      title: say("badgeSnoozed", "All sites snoozed"),
+      until: pausedUntilTs
+    };
+  }
+  
+  const snoozedSites = Object.values(pausedDomains).filter(ts => ts > now).length;
+  if (snoozedSites) {
+    return {
+      text: "II",
+      color: BADGE_COLORS.snoozed,
+      title: `${say("badgeSitesSnoozed", "Snoozed sites")}: ${snoozedSites}`
+    };
+  }
+  
+  return { text: "", color: BADGE_COLORS.idle, title: say("badgeBlocking", "Blocking on") };
+}
+
+/**
+ * Update the toolbar badge and tooltip, and wake up again when the countdown shown changes
+ */
+async function updateBadge() {
+  const state = await chrome.storage.local.get(["pausedUntilTs", "pausedDomains", "focusSession", "commitLock"]);
+  const now = Date.now();
+  const badge = badgeState(state, now);
+  
+  await chrome.action.setBadgeText({ text: badge.text });
+  await chrome.action.setBadgeBackgroundColor({ color: badge.color });
+  await chrome.action.setTitle({ title: `FocusGate · ${badge.title}` });
+  
+  if (badge.until) {
+    // Next time the minutes shown go down by one
+    const minutesLeft = Math.ceil((badge.until - now) / 60000);
+    chrome.alarms.create("fg:badge", { when: badge.until - (minutesLeft - 1) * 60000 });
+  } else {
+    chrome.alarms.clear("fg:badge");
+  }
+}
+
 /* ========== SNOOZE FUNCTIONALITY ========== */
 
+/**
+ * Create an error for a refused snooze
+ * The message handler passes code and availableAt on to the caller
+ * @param {string} code - "SNOOZE_LIMIT_REACHED" or "SNOOZE_COOLDOWN"
+ * @param {string} message - Human-readable reason
+ * @param {number} availableAt - Timestamp the next snooze is allowed at
+ * @returns {Error} Error with code and availableAt properties
+ */
+function snoozeError(code, message, availableAt) {
+  const error = new Error(message);
+  error.code = code;
+  error.availableAt = availableAt;
+  return error;
+}
+
+/**
+ * Use up one snooze from a target's allowance, or throw if none is available
+ * @param {string} target - Blocked entry, or GLOBAL_SNOOZE_KEY for a global snooze
+ */
+async function claimSnooze(target) {
+  const [{ snoozeLimits = {}, budgetResetTime = DEFAULT_BUDGET_RESET }, { snoozeLog = null }] =
+    await Promise.all([
+      chrome.storage.sync.get(["snoozeLimits", "budgetResetTime"]),
+      chrome.storage.local.get("snoozeLog")
+    ]);
+  const now = Date.now();
+  const { remaining, availableAt } = snoozeAllowance(target, snoozeLimits, snoozeLog, budgetResetTime, now);
+  
+  if (remaining === 0) {
+    throw snoozeError("SNOOZE_LIMIT_REACHED", "No snoozes left today", availableAt);
+  }
+  if (availableAt > now) {
+    throw snoozeError("SNOOZE_COOLDOWN", "Too soon since the last snooze", availableAt);
+  }
+  
+  await chrome.storage.local.set({ snoozeLog: recordSnooze(snoozeLog, target, budgetResetTime, now) });
+  recordStat("snoozes", target);
+}
+
 /**
  * Pause all blocking for specified minutes
+ * Counts against the daily snooze allowance unless it is a focus session break
  * @param {number} m - Minutes to pause
+ * @param {Object} [opts] - { bypassLimits: true } to skip the allowance check
  */
-async function pauseAllForMinutes(m) {
+async function pauseAllForMinutes(m, { bypassLimits = false } = {}) {
+  if (!bypassLimits) await claimSnooze(GLOBAL_SNOOZE_KEY);
+  
   const until = Date.now() + m * 60000;
   await setGlobalPause(until);
   await syncRules();
   // Set alarm to auto-resume when timer expires
   chrome.alarms.create("fg:resumeAll", { when: until });
+  // Warn a minute before, except for focus session breaks, which end on their own schedule
+  scheduleSnoozeWarning("fg:warnAll", bypassLimits ? 0 : until);
+  clearSnoozeNotification(GLOBAL_SNOOZE_KEY);
 }
 
 /**
@@ -258,14 +935,18 @@ async function resumeAllNow() {
   await clearAllDomainPauses();
   await syncRules();
   
-  // Clear all snooze alarms
+  // Clear all snooze alarms, their warnings and any warning still shown
   chrome.alarms.clear("fg:resumeAll");
   const alarms = await chrome.alarms.getAll();
   for (const alarm of alarms) {
-    if (alarm.name.startsWith("fg:resume:")) {
+    if (alarm.name.startsWith("fg:resume:") || alarm.name.startsWith("fg:warn")) {
       chrome.alarms.clear(alarm.name);
     }
   }
+  const shown = await chrome.notifications.getAll();
+  for (const id of Object.keys(shown)) {
+    if (id.startsWith("fg-snooze:")) chrome.notifications.clear(id);
+  }
 }
 
 /**
@@ -277,11 +958,15 @@ async function pauseDomainForMinutes(d, m) {
   // Validate domain
   if (!d || typeof d !== 'string') return;
   
+  await claimSnooze(d);
+  
   const until = Date.now() + m * 60000;
   await setDomainPause(d, until);
   await syncRules();
-  // Set alarm to auto-resume this domain
+  // Set alarm to auto-resume this domain, and to warn a minute before
   chrome.alarms.create(`fg:resume:${d}`, { when: until });
+  scheduleSnoozeWarning(`fg:warn:${d}`, until);
+  clearSnoozeNotification(d);
 }
 
 /**
@@ -295,51 +980,984 @@ async function resumeDomainNow(d) {
   await setDomainPause(d, 0);
   await syncRules();
   chrome.alarms.clear(`fg:resume:${d}`);
+  chrome.alarms.clear(`fg:warn:${d}`);
+  clearSnoozeNotification(d);
 }
 
-/* ========== EVENT LISTENERS ========== */
+/* ========== SNOOZE NOTIFICATIONS ========== */
+// A minute before a snooze runs out, a notification offers to extend it (a new snooze,
+// so limits, locks, work intervals and the PIN apply) or to resume blocking right away.
+// Warning alarms: "fg:warnAll" for the global snooze, "fg:warn:<entry>" per site.
+// Notification IDs: "fg-snooze:<entry>", or "fg-snooze:*" for the global snooze.
 
-// Re-sync when permissions change
-chrome.permissions.onAdded.addListener(() => { syncRules(); });
-chrome.permissions.onRemoved.addListener(() => { syncRules(); });
+const SNOOZE_WARNING_MS = 60000;  // Heads-up this long before a snooze ends
+const SNOOZE_EXTEND_MINUTES = 5;
 
-// Initialize on install/startup
-chrome.runtime.onInstalled.addListener(async () => { 
-  await syncRules(); 
-});
+/**
+ * Arm the warning alarm for a snooze, or clear it if the snooze is too short or over
+ * @param {string} name - "fg:warnAll" or "fg:warn:<entry>"
+ * @param {number} untilTs - When the snooze ends (0 for no warning)
+ */
+function scheduleSnoozeWarning(name, untilTs) {
+  const when = untilTs - SNOOZE_WARNING_MS;
+  if (untilTs && when > Date.now()) {
+    chrome.alarms.create(name, { when });
+  } else {
+    chrome.alarms.clear(name);
+  }
+}
 
-chrome.runtime.onStartup.addListener(async () => {
-  // Restore snooze alarms after browser restart
-  const { pausedUntilTs, pausedDomains } = await getState();
-  const now = Date.now();
+/**
+ * Clear the warning notification of a snooze
+ * @param {string} target - Entry, or GLOBAL_SNOOZE_KEY for the global snooze
+ */
+function clearSnoozeNotification(target) {
+  chrome.notifications.clear(`fg-snooze:${target}`);
+}
+
+/**
+ * Warn that a snooze ends in a minute
+ * @param {string} target - Entry, or GLOBAL_SNOOZE_KEY for the global snooze
+ * @param {string} [message] - Text instead of the usual one (e.g. why extending was refused)
+ */
+function notifySnoozeEnding(target, message) {
+  const say = (key, fallback) => chrome.i18n.getMessage(key) || fallback;
+  chrome.notifications.create(`fg-snooze:${target}`, {
+    type: "basic",
+    iconUrl: "icons/blocker_icon_128.png",
+    title: say("notifySnoozeEnding", "Snooze ends in 1 minute"),
+    message: message || (target === GLOBAL_SNOOZE_KEY
+      ? say("notifyAllResume", "Blocking resumes for all sites.")
+      : `${say("notifySiteResumes", "Blocking resumes for")} ${target}`),
+    buttons: [
+      { title: say("notifyExtend", "Extend 5 min") },
+      { title: say("notifyResumeNow", "Resume now") }
+    ],
+    priority: 1
+  });
+}
+
+/**
+ * Extend a running snooze by a few minutes, as a new snooze from the allowance
+ * @param {string} target - Entry, or GLOBAL_SNOOZE_KEY for the global snooze
+ */
+async function extendSnooze(target) {
+  await assertUnlocked();
+  await assertRecentlyUnlocked();
+  if (await inWorkInterval()) throw new Error("Focus session in progress");
   
-  // Re-create global snooze alarm if still active
-  if (pausedUntilTs && now < pausedUntilTs) {
-    chrome.alarms.create("fg:resumeAll", { when: pausedUntilTs });
+  const { pausedUntilTs = 0, pausedDomains = {} } = await chrome.storage.local.get(["pausedUntilTs", "pausedDomains"]);
+  const until = target === GLOBAL_SNOOZE_KEY ? pausedUntilTs : pausedDomains[target] || 0;
+  const minutes = Math.max(0, until - Date.now()) / 60000 + SNOOZE_EXTEND_MINUTES;
+  if (target === GLOBAL_SNOOZE_KEY) {
+    await pauseAllForMinutes(minutes);
+  } else {
+    await pauseDomainForMinutes(target, minutes);
   }
+}
+
+/**
+ * Handle a button of a snooze notification
+ * A refused extension is explained in the notification instead
+ * @param {string} notificationId - "fg-snooze:<entry>" or "fg-snooze:*"
+ * @param {number} buttonIndex - 0 to extend, 1 to resume now
+ */
+async function runSnoozeNotificationButton(notificationId, buttonIndex) {
+  if (!notificationId.startsWith("fg-snooze:")) return;
+  const target = notificationId.substring("fg-snooze:".length);
   
-  // Re-create per-domain snooze alarms
-  for (const [d, ts] of Object.entries(pausedDomains || {})) {
-    if (ts && now < ts) {
+  if (buttonIndex === 1) {
+    clearSnoozeNotification(target);
+    if (target === GLOBAL_SNOOZE_KEY) {
+      await assertUnlocked();
+      await resumeAllNow();
+    } else {
+      await resumeDomainNow(target);
+    }
+    return;
+  }
+  
+  try {
+    await extendSnooze(target);
+    clearSnoozeNotification(target);
+  } catch (error) {
+    const refused = chrome.i18n.getMessage("notifyExtendRefused") || "Couldn't extend";
+    notifySnoozeEnding(target, `${refused}: ${error.message}`);
+  }
+}
+
+/* ========== PROFILES ========== */
+// Named blocklists (Work, Study, ...). The active profile's list lives in
+// blockedDomains so everything else keeps reading one key; the others are
+// stored by name in the profiles map until they are switched to.
+
+const DEFAULT_PROFILE = "Default";
+
+/**
+ * Read the profile state from sync storage
+ * @returns {Object} { profiles, activeProfile, blockedDomains }
+ */
+async function getProfiles() {
+  const { profiles = {}, activeProfile = DEFAULT_PROFILE, blockedDomains = [] } =
+    await readSync(["profiles", "activeProfile", "blockedDomains"]);
+  return { profiles, activeProfile, blockedDomains };
+}
+
+/**
+ * Validate a new profile name against the existing ones
+ * @param {string} name - Proposed name
+ * @param {Object} state - Result of getProfiles()
+ */
+function assertNewProfileName(name, { profiles, activeProfile }) {
+  if (typeof name !== "string" || !name.trim() || name.length > 40) {
+    throw new Error("Invalid profile name");
+  }
+  if (name === activeProfile || name in profiles) {
+    throw new Error("Profile already exists");
+  }
+}
+
+/**
+ * Get a profile's domain list, whether it is active or stored aside
+ * @param {string} name - Profile name
+ * @param {Object} state - Result of getProfiles()
+ * @returns {string[]} Domains of the profile
+ */
+function profileDomains(name, { profiles, activeProfile, blockedDomains }) {
+  if (name === activeProfile) return blockedDomains;
+  if (!(name in profiles)) throw new Error("Unknown profile");
+  return profiles[name];
+}
+
+/**
+ * Make another profile the enforced blocklist (refused while locked)
+ * @param {string} name - Profile to activate
+ */
+async function switchProfile(name) {
+  const state = await getProfiles();
+  if (name === state.activeProfile) return;
+  await assertUnlocked(); // Another profile would replace the locked blocklist
+  
+  const next = profileDomains(name, state);
+  const { profiles } = state;
+  profiles[state.activeProfile] = state.blockedDomains;
+  delete profiles[name];
+  
+  await writeSync({ profiles, activeProfile: name, blockedDomains: next });
+  await syncRules();
+}
+
+/**
+ * Create an empty profile, or a copy of an existing one
+ * @param {string} name - New profile name
+ * @param {string} [copyFrom] - Profile to duplicate
+ */
+async function createProfile(name, copyFrom) {
+  const state = await getProfiles();
+  assertNewProfileName(name, state);
+  
+  const { profiles } = state;
+  profiles[name] = copyFrom ? [...profileDomains(copyFrom, state)] : [];
+  await writeSync({ profiles });
+}
+
+/**
+ * Rename a profile (active or not)
+ * @param {string} name - Current name
+ * @param {string} newName - New name
+ */
+async function renameProfile(name, newName) {
+  const state = await getProfiles();
+  assertNewProfileName(newName, state);
+  
+  if (name === state.activeProfile) {
+    await chrome.storage.sync.set({ activeProfile: newName });
+    return;
+  }
+  
+  const { profiles } = state;
+  profiles[newName] = profileDomains(name, state);
+  delete profiles[name];
+  await writeSync({ profiles });
+}
+
+/**
+ * Delete a profile
+ * Deleting the active profile first switches to another one, so it is refused while locked
+ * @param {string} name - Profile to delete
+ */
+async function deleteProfile(name) {
+  let state = await getProfiles();
+  profileDomains(name, state); // Throws for unknown names
+  
+  if (name === state.activeProfile) {
+    const [other] = Object.keys(state.profiles).sort();
+    if (!other) throw new Error("Can't delete the only profile");
+    await switchProfile(other);
+    state = await getProfiles();
+  }
+  
+  const { profiles } = state;
+  delete profiles[name];
+  await writeSync({ profiles });
+}
+
+/* ========== FOCUS SESSIONS ========== */
+// Pomodoro-style cycles: work intervals force blocking on, breaks use the global pause
+
+const LONG_BREAK_EVERY = 4; // Every 4th break is a long one
+
+/**
+ * Save the focus session and arm the alarm for the end of its current phase
+ * @param {Object|null} session - Session to store (null ends the session)
+ */
+async function setFocusSession(session) {
+  await chrome.storage.local.set({ focusSession: session });
+  if (session) {
+    chrome.alarms.create("fg:session", { when: session.phaseEndsAt });
+  } else {
+    chrome.alarms.clear("fg:session");
+  }
+}
+
+/**
+ * Start a focus session with the first work interval
+ * @param {Object} opts - { work, shortBreak, longBreak, cycles } in minutes / count
+ */
+async function startFocusSession(opts) {
+  const session = {
+    workMin: opts.work,
+    shortBreakMin: opts.shortBreak,
+    longBreakMin: opts.longBreak,
+    cycles: opts.cycles,
+    cycle: 1,
+    phase: "work",
+    phaseEndsAt: Date.now() + opts.work * 60000
+  };
+  
+  // Work starts now, so any running global snooze ends
+  await setGlobalPause(0);
+  chrome.alarms.clear("fg:resumeAll");
+  chrome.alarms.clear("fg:warnAll");
+  clearSnoozeNotification(GLOBAL_SNOOZE_KEY);
+  await setFocusSession(session);
+  await syncRules();
+}
+
+/**
+ * End the focus session early and restore normal blocking
+ */
+async function stopFocusSession() {
+  const { focusSession } = await chrome.storage.local.get("focusSession");
+  await setFocusSession(null);
+  
+  // A break's global pause belongs to the session, so it ends with it
+  if (focusSession && focusSession.phase !== "work") {
+    await setGlobalPause(0);
+    chrome.alarms.clear("fg:resumeAll");
+  }
+  await syncRules();
+}
+
+/**
+ * Move the session to its next phase(s)
+ * Steps from the old phase end rather than from now, so a browser that was
+ * closed across several phases lands in the phase it would be in anyway
+ */
+async function advanceFocusSession() {
+  const { focusSession: session } = await chrome.storage.local.get("focusSession");
+  if (!session) return;
+  
+  const now = Date.now();
+  while (session.phaseEndsAt <= now) {
+    if (session.phase === "work") {
+      if (session.cycle >= session.cycles) {
+        // Last work interval done: session complete
+        await setFocusSession(null);
+        await syncRules();
+        return;
+      }
+      const long = session.cycle % LONG_BREAK_EVERY === 0;
+      session.phase = long ? "longBreak" : "shortBreak";
+      session.phaseEndsAt += (long ? session.longBreakMin : session.shortBreakMin) * 60000;
+    } else {
+      session.cycle += 1;
+      session.phase = "work";
+      session.phaseEndsAt += session.workMin * 60000;
+    }
+  }
+  
+  await setFocusSession(session);
+  if (session.phase === "work") {
+    await setGlobalPause(0);
+    chrome.alarms.clear("fg:resumeAll");
+    await syncRules();
+  } else {
+    // Breaks reuse the regular global snooze, without using up the allowance
+    await pauseAllForMinutes((session.phaseEndsAt - now) / 60000, { bypassLimits: true });
+  }
+}
+
+/* ========== COMMITMENT LOCK ========== */
+// Locking until a chosen time: the checks live here rather than in the popup so
+// no page can snooze, resume or shrink the blocklist early. Entries that vanish
+// from sync storage anyway (another device, an older popup) are put back.
+
+let _lockQueue = Promise.resolve(); // Serializes lock enforcement
+
+/**
+ * Read the commitment lock if it is still running
+ * @returns {Object|null} { until, blocked, allowed, mode, exceptions } or null
+ */
+async function getLock() {
+  const { commitLock = null } = await chrome.storage.local.get("commitLock");
+  return activeLock(commitLock);
+}
+
+/**
+ * Create the error for a command refused by the lock
+ * The message handler passes code and availableAt (the lock's end) on to the caller
+ * @param {number} until - Timestamp the lock ends at
+ * @returns {Error} Error with code and availableAt properties
+ */
+function lockError(until) {
+  const error = new Error("Blocking is locked");
+  error.code = "LOCKED";
+  error.availableAt = until;
+  return error;
+}
+
+/**
+ * Throw if a commitment lock is running
+ */
+async function assertUnlocked() {
+  const lock = await getLock();
+  if (lock) throw lockError(lock.until);
+}
+
+/**
+ * Start a commitment lock, or extend the running one
+ * A running lock can't be shortened; snoozes in progress end when it starts
+ * @param {number} until - Timestamp to lock until
+ */
+async function startLock(until) {
+  const now = Date.now();
+  if (!Number.isFinite(until) || until <= now || until > now + MAX_LOCK_HOURS * 3600000) {
+    throw new Error("Invalid lock time");
+  }
+  
+  let lock = await getLock();
+  if (lock) {
+    if (until < lock.until) throw lockError(lock.until);
+    lock.until = until;
+  } else {
+    const { blockedDomains = [], allowedDomains = [], blockMode = "block", domainExceptions = {} } =
+      await readSync(["blockedDomains", "allowedDomains", "blockMode", "domainExceptions"]);
+    lock = { until, blocked: blockedDomains, allowed: allowedDomains, mode: blockMode, exceptions: domainExceptions };
+  }
+  
+  await chrome.storage.local.set({ commitLock: lock });
+  chrome.alarms.create("fg:lockEnd", { when: until });
+  await resumeAllNow();
+}
+
+/**
+ * Drop the exceptions a lock doesn't allow: each one unblocks part of a site, so only
+ * those in place when the lock started count (and only while they stay in place)
+ * @param {Object} exceptions - Exceptions by entry (domainExceptions)
+ * @param {Object} lock - Running commitment lock
+ * @returns {Object} Exceptions by entry, without any added during the lock
+ */
+function lockedExceptions(exceptions, lock) {
+  if (!lock.exceptions) return exceptions; // Lock started before exceptions were recorded
+  const kept = {};
+  for (const [d, list] of Object.entries(exceptions)) {
+    const allowed = list.filter(ex => (lock.exceptions[d] || []).includes(ex));
+    if (allowed.length) kept[d] = allowed;
+  }
+  return kept;
+}
+
+/**
+ * End the commitment lock and restore normal blocking
+ */
+async function endLock() {
+  await chrome.storage.local.remove("commitLock");
+  chrome.alarms.clear("fg:lockEnd");
+  await syncRules();
+}
+
+/**
+ * Undo changes that loosen blocking while locked
+ * Removed entries come back if Chrome still grants access to their site (entries whose
+ * permission was revoked can't be blocked anyway); new entries become protected too,
+ * and exceptions added during the lock are removed again
+ * @returns {Promise} Resolves once storage is consistent with the lock
+ */
+function enforceLock() {
+  _lockQueue = _lockQueue.then(async () => {
+    const lock = await getLock();
+    if (!lock) return;
+    const { blockedDomains = [], allowedDomains = [], blockMode = "block", domainExceptions = {} } =
+      await readSync(["blockedDomains", "allowedDomains", "blockMode", "domainExceptions"]);
+    const fix = {};
+    
+    const restore = [];
+    for (const d of lock.blocked) {
+      if (!blockedDomains.includes(d) && await hasHostAccess(entryHost(d))) restore.push(d);
+    }
+    if (restore.length) fix.blockedDomains = [...new Set([...blockedDomains, ...restore])].sort();
+    
+    // The allowlist may only shrink (in allowlist mode every new entry unblocks a site)
+    if (allowedDomains.some(d => !lock.allowed.includes(d))) {
+      fix.allowedDomains = allowedDomains.filter(d => lock.allowed.includes(d));
+    }
+    
+    // Allowlist mode can only come back while Chrome still grants access to all sites
+    if (blockMode !== lock.mode && (lock.mode === "block" || await hasAllSitesAccess())) {
+      fix.blockMode = lock.mode;
+    }
+    
+    // Exceptions may only be removed
+    const exceptions = lockedExceptions(domainExceptions, lock);
+    if (JSON.stringify(exceptions) !== JSON.stringify(domainExceptions)) {
+      fix.domainExceptions = exceptions;
+    }
+    
+    if (Object.keys(fix).length) await writeSync(fix);
+    
+    const next = {
+      ...lock,
+      blocked: [...new Set([...lock.blocked, ...blockedDomains])],
+      allowed: fix.allowedDomains || allowedDomains,
+      mode: fix.blockMode || blockMode,
+      exceptions
+    };
+    if (JSON.stringify(next) !== JSON.stringify(lock)) {
+      await chrome.storage.local.set({ commitLock: next });
+    }
+  }).catch(() => {});
+  return _lockQueue;
+}
+
+/**
+ * Remove entries from the active blocklist (refused while locked)
+ * Callers prune the entries' per-domain settings afterwards (see removeBlocked() in blocklist.js)
+ * @param {string[]} domains - Entries to remove
+ */
+async function removeDomains(domains) {
+  await assertUnlocked();
+  const remove = new Set(domains);
+  const { blockedDomains = [] } = await readSync("blockedDomains");
+  await writeSync({ blockedDomains: blockedDomains.filter(d => !remove.has(d)) });
+}
+
+/* ========== PIN PROTECTION ========== */
+// An optional PIN guards snoozing, removing and settings changes. Only a salted
+// PBKDF2 hash is stored (sync storage, pinProtection). Entering the PIN gives the
+// page a short-lived unlock token, kept in session storage, which protected
+// commands must carry. A recovery code, shown once when the PIN is set, clears it.
+
+const PIN_ITERATIONS = 210000;       // PBKDF2-SHA256 rounds
+const UNLOCK_TOKEN_MINUTES = 5;      // How long an entered PIN stays valid
+const PIN_MAX_FAILURES = 5;          // Wrong PINs / recovery codes before a pause
+const PIN_RETRY_MINUTES = 5;         // Length of that pause
+const RECOVERY_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // No 0/O or 1/I
+
+// Commands that need a valid unlock token once a PIN is set
+const PIN_PROTECTED_COMMANDS = new Set([
+  "pauseForMinutes", "pauseDomain", "removeDomains", "stopSession",
+  "switchProfile", "deleteProfile", "saveSettings", "setPin", "clearPin"
+]);
+
+/**
+ * Create an error for a refused PIN check
+ * @param {string} code - "PIN_REQUIRED", "PIN_WRONG" or "PIN_RETRY_LATER"
+ * @param {string} message - Human-readable reason
+ * @param {number} [availableAt] - When the next attempt is allowed (PIN_RETRY_LATER)
+ * @returns {Error} Error with code and availableAt properties
+ */
+function pinError(code, message, availableAt) {
+  const error = new Error(message);
+  error.code = code;
+  error.availableAt = availableAt;
+  return error;
+}
+
+/**
+ * Check the format of a PIN or password
+ * @param {*} pin - Value to check
+ * @returns {boolean} True for 4 to 64 characters
+ */
+function isValidPin(pin) {
+  return typeof pin === "string" && pin.length >= 4 && pin.length <= 64;
+}
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 text
+ */
+function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Hash a PIN or recovery code with PBKDF2-SHA256
+ * @param {string} secret - PIN or normalized recovery code
+ * @param {string} salt - Base64 salt
+ * @param {number} iterations - PBKDF2 rounds
+ * @returns {Promise<string>} Base64 hash
+ */
+async function hashSecret(secret, salt, iterations) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), "PBKDF2", false, ["deriveBits"]);
+  const saltBytes = Uint8Array.from(atob(salt), c => c.charCodeAt(0));
+  const bits = await crypto.subtle.deriveBits(
+    { name: "PBKDF2", hash: "SHA-256", salt: saltBytes, iterations }, key, 256);
+  return toBase64(new Uint8Array(bits));
+}
+
+/**
+ * Hash a secret with a fresh random salt
+ * @param {string} secret - PIN or normalized recovery code
+ * @returns {Promise<Object>} { salt, hash }
+ */
+async function saltedHash(secret) {
+  const salt = toBase64(crypto.getRandomValues(new Uint8Array(16)));
+  return { salt, hash: await hashSecret(secret, salt, PIN_ITERATIONS) };
+}
+
+/**
+ * Compare two strings without stopping at the first difference
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if equal
+ */
+function sameString(a, b) {
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  return diff === 0;
+}
+
+/**
+ * Normalize a recovery code as typed (case, spaces and dashes don't matter)
+ * @param {string} code - Code as entered
+ * @returns {string} Uppercase code without separators
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || "").toUpperCase().replace(/[\s-]/g, "");
+}
+
+/**
+ * Generate a recovery code like "ABCDE-FGHJK-LMNPQ-RSTUV"
+ * @returns {string} Recovery code
+ */
+function newRecoveryCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(20));
+  const chars = [...bytes].map(b => RECOVERY_ALPHABET[b % RECOVERY_ALPHABET.length]).join("");
+  return chars.match(/.{5}/g).join("-");
+}
+
+/**
+ * Read the stored PIN hash
+ * @returns {Promise<Object|null>} { salt, hash, recoverySalt, recoveryHash, iterations } or null if no PIN is set
+ */
+async function getPinProtection() {
+  const { pinProtection = null } = await chrome.storage.sync.get("pinProtection");
+  return pinProtection;
+}
+
+/**
+ * Count a wrong PIN or recovery code, refusing further attempts for a while after too many
+ * @param {boolean} wrong - True to count a failure, false to reset the count
+ */
+async function notePinAttempt(wrong) {
+  if (!wrong) {
+    await chrome.storage.session.remove("pinFailures");
+    return;
+  }
+  const { pinFailures = { count: 0, until: 0 } } = await chrome.storage.session.get("pinFailures");
+  pinFailures.count += 1;
+  if (pinFailures.count >= PIN_MAX_FAILURES) {
+    pinFailures.count = 0;
+    pinFailures.until = Date.now() + PIN_RETRY_MINUTES * 60000;
+  }
+  await chrome.storage.session.set({ pinFailures });
+}
+
+/**
+ * Throw while attempts are paused after too many wrong PINs
+ */
+async function assertPinAttemptAllowed() {
+  const { pinFailures } = await chrome.storage.session.get("pinFailures");
+  if (pinFailures?.until > Date.now()) {
+    throw pinError("PIN_RETRY_LATER", "Too many wrong attempts", pinFailures.until);
+  }
+}
+
+/**
+ * Check a PIN and hand out an unlock token
+ * @param {string} pin - PIN as entered
+ * @returns {Promise<string>} Unlock token
+ */
+async function unlockPin(pin) {
+  await assertPinAttemptAllowed();
+  const protection = await getPinProtection();
+  if (!protection) throw new Error("No PIN is set");
+  
+  const hash = await hashSecret(String(pin ?? ""), protection.salt, protection.iterations);
+  const wrong = !sameString(hash, protection.hash);
+  await notePinAttempt(wrong);
+  if (wrong) throw pinError("PIN_WRONG", "Wrong PIN");
+  
+  const token = toBase64(crypto.getRandomValues(new Uint8Array(24)));
+  await chrome.storage.session.set({
+    unlockToken: { token, expiresAt: Date.now() + UNLOCK_TOKEN_MINUTES * 60000 }
+  });
+  return token;
+}
+
+/**
+ * Throw unless no PIN is set or the token is a current unlock token
+ * @param {string} token - Token sent with the command
+ */
+async function assertPinUnlocked(token) {
+  if (!(await getPinProtection())) return;
+  const { unlockToken } = await chrome.storage.session.get("unlockToken");
+  const valid = typeof token === "string" && unlockToken && unlockToken.expiresAt > Date.now() &&
+    sameString(token, unlockToken.token);
+  if (!valid) throw pinError("PIN_REQUIRED", "PIN required");
+}
+
+/**
+ * Set or change the PIN (changing needs an unlock token, checked by the message handler)
+ * @param {string} pin - New PIN
+ * @returns {Promise<string>} New recovery code; the only time it is available in plain text
+ */
+async function setPin(pin) {
+  if (!isValidPin(pin)) throw new Error("PIN must be 4 to 64 characters");
+  const recoveryCode = newRecoveryCode();
+  const pinHash = await saltedHash(pin);
+  const recoveryHash = await saltedHash(normalizeRecoveryCode(recoveryCode));
+  await chrome.storage.sync.set({
+    pinProtection: {
+      salt: pinHash.salt,
+      hash: pinHash.hash,
+      recoverySalt: recoveryHash.salt,
+      recoveryHash: recoveryHash.hash,
+      iterations: PIN_ITERATIONS
+    }
+  });
+  await chrome.storage.session.remove("unlockToken");
+  return recoveryCode;
+}
+
+/**
+ * Remove the PIN
+ */
+async function clearPin() {
+  await chrome.storage.sync.remove("pinProtection");
+  await chrome.storage.session.remove(["unlockToken", "pinFailures"]);
+}
+
+/**
+ * Remove a forgotten PIN with the recovery code shown when it was set
+ * @param {string} code - Recovery code as entered
+ */
+async function recoverPin(code) {
+  await assertPinAttemptAllowed();
+  const protection = await getPinProtection();
+  if (!protection) return;
+  
+  const hash = await hashSecret(normalizeRecoveryCode(code), protection.recoverySalt, protection.iterations);
+  const wrong = !sameString(hash, protection.recoveryHash);
+  await notePinAttempt(wrong);
+  if (wrong) throw pinError("PIN_WRONG", "Wrong recovery code");
+  await clearPin();
+}
+
+/* ========== QUICK ACTIONS ========== */
+// Keyboard shortcuts (manifest commands, changed on chrome://extensions/shortcuts) and
+// context menu items. They go through the same checks as the popup: the commitment lock,
+// focus session work intervals and snooze limits refuse them, and a set PIN must have
+// been entered recently.
+
+const QUICK_SNOOZE_MINUTES = 15;
+const SHORTCUT_SESSION = { work: 25, shortBreak: 5, longBreak: 15, cycles: 4 }; // Popup defaults
+
+/**
+ * Throw unless no PIN is set or it was entered in the last few minutes
+ * Shortcuts and menus have no page to ask for the PIN, so they borrow the current unlock token
+ */
+async function assertRecentlyUnlocked() {
+  const { unlockToken } = await chrome.storage.session.get("unlockToken");
+  await assertPinUnlocked(unlockToken?.token);
+}
+
+/**
+ * Get the normalized domain of a web page address
+ * @param {string} url - Page or link address
+ * @returns {string} Domain, or empty for anything but http(s) pages
+ */
+function webDomain(url) {
+  try {
+    const parsed = new URL(url || "");
+    if (parsed.protocol === "http:" || parsed.protocol === "https:") return normalizeDomain(parsed.hostname);
+  } catch {
+    // Not a web page (new tab page, chrome:// pages, ...)
+  }
+  return "";
+}
+
+/**
+ * Add a site to the blocklist, or hand it to the popup to ask Chrome for access
+ * The service worker can't show Chrome's permission prompt (it needs a user gesture on
+ * an extension page), so a site without access yet opens the popup with the site
+ * filled in; Add there asks for access like any other entry.
+ * @param {string} domain - Normalized domain
+ */
+async function blockSiteWithPermission(domain) {
+  const { blockMode = "block", blockedDomains = [] } = await readSync(["blockMode", "blockedDomains"]);
+  if (blockMode !== "block" || blockedDomains.includes(domain)) {
+    return; // In allowlist mode unlisted sites are already blocked
+  }
+  
+  if (await chrome.permissions.contains({ origins: originPatterns(domain) })) {
+    await writeSync({ blockedDomains: [...blockedDomains, domain].sort() });
+    const { domainAddedAt = {} } = await chrome.storage.local.get("domainAddedAt");
+    domainAddedAt[domain] = Date.now();
+    await chrome.storage.local.set({ domainAddedAt });
+    await syncRules();
+    return;
+  }
+  
+  await chrome.storage.session.set({ quickAddDomain: domain });
+  try {
+    await chrome.action.openPopup();
+  } catch {
+    // No popup from here in this Chrome version: open it in a tab instead
+    await chrome.tabs.create({ url: chrome.runtime.getURL("popup.html") });
+  }
+}
+
+/**
+ * Find what to snooze for a page: the entry of a blocked page, otherwise the
+ * blocklist entry covering the page's site (whole-site entries first)
+ * @param {string} pageUrl - Page the menu was opened on
+ * @returns {Promise<string>} Entry (or host in allowlist mode), empty if nothing applies
+ */
+async function snoozeTargetForPage(pageUrl) {
+  if (pageUrl?.startsWith(chrome.runtime.getURL("blocked.html"))) {
+    const match = pageUrl.match(/[#&]d=([^&]+)/);
+    return match ? decodeURIComponent(match[1]).replace(/^www\./i, "") : "";
+  }
+  
+  const host = webDomain(pageUrl);
+  if (!host) return "";
+  const { blockMode = "block", blockedDomains = [] } = await readSync(["blockMode", "blockedDomains"]);
+  if (blockMode !== "block") return host;
+  
+  const matches = blockedDomains.filter(entry => {
+    const entryDomain = entryHost(entry);
+    return host === entryDomain || host.endsWith(`.${entryDomain}`);
+  });
+  return matches.find(entry => entry === entryHost(entry)) || matches[0] || "";
+}
+
+/**
+ * Snooze the site of a page for a while
+ * @param {string} pageUrl - Page the menu was opened on
+ */
+async function snoozePageSite(pageUrl) {
+  await assertUnlocked();
+  await assertRecentlyUnlocked();
+  if (await inWorkInterval()) throw new Error("Focus session in progress");
+  const target = await snoozeTargetForPage(pageUrl);
+  if (target) await pauseDomainForMinutes(target, QUICK_SNOOZE_MINUTES);
+}
+
+/**
+ * Snooze everything for a while, or end the snooze if one is running
+ */
+async function toggleSnooze() {
+  await assertUnlocked();
+  const { pausedUntilTs = 0 } = await chrome.storage.local.get("pausedUntilTs");
+  if (pausedUntilTs > Date.now()) {
+    await resumeAllNow();
+    return;
+  }
+  await assertRecentlyUnlocked();
+  if (await inWorkInterval()) throw new Error("Focus session in progress");
+  await pauseAllForMinutes(QUICK_SNOOZE_MINUTES);
+}
+
+/**
+ * Run a keyboard shortcut
+ * @param {string} command - Command name from the manifest
+ * @param {chrome.tabs.Tab} [tab] - Active tab
+ */
+async function runShortcut(command, tab) {
+  switch (command) {
+    case "block-site": {
+      const domain = webDomain(tab?.url);
+      if (domain) await blockSiteWithPermission(domain);
+      return;
+    }
+    case "toggle-snooze":
+      return toggleSnooze();
+    case "resume-all":
+      await assertUnlocked();
+      return resumeAllNow();
+    case "start-session":
+      return startFocusSession(SHORTCUT_SESSION);
+  }
+}
+
+/**
+ * (Re)create the context menu items, titled in the browser's language
+ */
+function createContextMenus() {
+  const webPages = ["http://*/*", "https://*/*"];
+  chrome.contextMenus.removeAll(() => {
+    chrome.contextMenus.create({
+      id: "block-page",
+      title: chrome.i18n.getMessage("menuBlockSite") || "Block this site",
+      contexts: ["page"],
+      documentUrlPatterns: webPages
+    });
+    chrome.contextMenus.create({
+      id: "block-link",
+      title: chrome.i18n.getMessage("menuBlockLink") || "Block link's site",
+      contexts: ["link"],
+      targetUrlPatterns: webPages
+    });
+    chrome.contextMenus.create({
+      id: "snooze-page",
+      title: chrome.i18n.getMessage("menuSnoozeSite") || "Snooze this site 15m",
+      contexts: ["page"],
+      documentUrlPatterns: [...webPages, `${chrome.runtime.getURL("blocked.html")}*`]
+    });
+  });
+}
+
+/**
+ * Run a context menu item
+ * @param {Object} info - chrome.contextMenus.OnClickData
+ */
+async function runContextMenu(info) {
+  switch (info.menuItemId) {
+    case "block-page":
+    case "block-link": {
+      const domain = webDomain(info.menuItemId === "block-link" ? info.linkUrl : info.pageUrl);
+      if (domain) await blockSiteWithPermission(domain);
+      return;
+    }
+    case "snooze-page":
+      return snoozePageSite(info.pageUrl);
+  }
+}
+
+/* ========== EVENT LISTENERS ========== */
+
+// Re-sync when permissions change
+chrome.permissions.onAdded.addListener(() => { syncRules(); });
+chrome.permissions.onRemoved.addListener(() => { syncRules(); });
+
+// Initialize on install/startup
+chrome.runtime.onInstalled.addListener(async () => { 
+  createContextMenus();
+  await syncRules(); 
+});
+
+chrome.runtime.onStartup.addListener(async () => {
+  // Restore snooze alarms after browser restart
+  const { pausedUntilTs, pausedDomains, focusSession, commitLock } = await getState();
+  const now = Date.now();
+  
+  // Re-create global snooze alarm if still active (a focus session break gets no warning)
+  if (pausedUntilTs && now < pausedUntilTs) {
+    chrome.alarms.create("fg:resumeAll", { when: pausedUntilTs });
+    scheduleSnoozeWarning("fg:warnAll", focusSession ? 0 : pausedUntilTs);
+  }
+  
+  // Re-create per-domain snooze alarms
+  for (const [d, ts] of Object.entries(pausedDomains || {})) {
+    if (ts && now < ts) {
       chrome.alarms.create(`fg:resume:${d}`, { when: ts });
+      scheduleSnoozeWarning(`fg:warn:${d}`, ts);
     }
   }
   
+  // Re-create the focus session alarm, catching up on phases missed while closed
+  if (focusSession) {
+    if (now < focusSession.phaseEndsAt) {
+      chrome.alarms.create("fg:session", { when: focusSession.phaseEndsAt });
+    } else {
+      await advanceFocusSession();
+    }
+  }
+  
+  // Re-create the lock's end alarm, or end a lock that ran out while closed
+  if (activeLock(commitLock, now)) {
+    chrome.alarms.create("fg:lockEnd", { when: commitLock.until });
+  } else if (commitLock) {
+    await chrome.storage.local.remove("commitLock");
+  }
+  
   await syncRules();
 });
 
+// Keyboard shortcuts; a refused one (lock, work interval, PIN, snooze limit) does nothing
+chrome.commands.onCommand.addListener((command, tab) => {
+  runShortcut(command, tab).catch(() => {});
+});
+chrome.contextMenus.onClicked.addListener((info) => {
+  runContextMenu(info).catch(() => {});
+});
+
+// Snooze warnings: extend or resume now
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+  runSnoozeNotificationButton(notificationId, buttonIndex).catch(() => {});
+});
+
+// Budget tracking follows the focused tab
+chrome.tabs.onActivated.addListener(() => { scheduleTrack(); });
+chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+  if (changeInfo.url) scheduleTrack();
+});
+chrome.windows.onFocusChanged.addListener(() => { scheduleTrack(); });
+chrome.idle.onStateChanged.addListener(() => { scheduleTrack(); });
+
 /* ========== MESSAGE HANDLER ========== */
 // Handle messages from popup and blocked page
 
+/**
+ * Check whether a focus session is in a work interval (snoozing is refused)
+ * @returns {boolean} True during work
+ */
+async function inWorkInterval() {
+  const { focusSession } = await chrome.storage.local.get("focusSession");
+  return focusSession?.phase === "work" && Date.now() < focusSession.phaseEndsAt;
+}
+
 chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
   (async () => {
     try {
+      // Once a PIN is set, commands that loosen blocking need a fresh unlock token
+      if (PIN_PROTECTED_COMMANDS.has(msg?.cmd)) {
+        await assertPinUnlocked(msg.token);
+      }
+      
       switch(msg?.cmd) {
         case "syncRules": 
           await syncRules(); 
           return sendResponse({ ok: true });
           
         case "pauseForMinutes": 
+          await assertUnlocked();
+          if (await inWorkInterval()) {
+            return sendResponse({ ok: false, error: "Focus session in progress" });
+          }
           if (typeof msg.minutes === 'number' && msg.minutes > 0) {
             await pauseAllForMinutes(msg.minutes); 
             return sendResponse({ ok: true });
@@ -347,10 +1965,15 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           return sendResponse({ ok: false, error: "Invalid minutes" });
           
         case "resumeNow": 
+          await assertUnlocked();
           await resumeAllNow(); 
           return sendResponse({ ok: true });
           
         case "pauseDomain": 
+          await assertUnlocked();
+          if (await inWorkInterval()) {
+            return sendResponse({ ok: false, error: "Focus session in progress" });
+          }
           if (msg.domain && typeof msg.minutes === 'number' && msg.minutes > 0) {
             await pauseDomainForMinutes(msg.domain, msg.minutes); 
             return sendResponse({ ok: true });
@@ -363,6 +1986,35 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
             return sendResponse({ ok: true });
           }
           return sendResponse({ ok: false, error: "Invalid domain" });
+        
+        case "removeDomains": 
+          if (Array.isArray(msg.domains)) {
+            await removeDomains(msg.domains);
+            return sendResponse({ ok: true });
+          }
+          return sendResponse({ ok: false, error: "Invalid domains" });
+        
+        case "lock": 
+          await startLock(msg.until);
+          return sendResponse({ ok: true });
+          
+        case "saveSettings": 
+          await saveSettings(msg.items);
+          return sendResponse({ ok: true });
+          
+        case "unlockPin": 
+          return sendResponse({ ok: true, token: await unlockPin(msg.pin) });
+          
+        case "setPin": 
+          return sendResponse({ ok: true, recoveryCode: await setPin(msg.pin) });
+          
+        case "clearPin": 
+          await clearPin();
+          return sendResponse({ ok: true });
+          
+        case "recoverPin": 
+          await recoverPin(msg.code);
+          return sendResponse({ ok: true });
           
         case "markPending": 
           if (msg.domain) {
@@ -380,11 +2032,58 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
           }
           return sendResponse({ ok: false, error: "Invalid domain" });
           
+        case "recordAttempt": 
+          if (isValidEntry(msg.domain)) {
+            await recordStat("attempts", msg.domain);
+            return sendResponse({ ok: true });
+          }
+          return sendResponse({ ok: false, error: "Invalid domain" });
+          
+        case "clearStats": 
+          await (_statsQueue = _statsQueue.then(() => chrome.storage.local.remove("blockStats")));
+          return sendResponse({ ok: true });
+          
+        case "startSession": {
+          const opts = {
+            work: msg.work,
+            shortBreak: msg.shortBreak,
+            longBreak: msg.longBreak,
+            cycles: msg.cycles
+          };
+          const valid = Object.values(opts).every(v => Number.isInteger(v) && v > 0 && v <= 720);
+          if (valid) {
+            await startFocusSession(opts);
+            return sendResponse({ ok: true });
+          }
+          return sendResponse({ ok: false, error: "Invalid session settings" });
+        }
+          
+        case "stopSession": 
+          await stopFocusSession(); 
+          return sendResponse({ ok: true });
+          
+        case "switchProfile": 
+          await switchProfile(msg.name); 
+          return sendResponse({ ok: true });
+          
+        case "createProfile": 
+          await createProfile(msg.name, msg.copyFrom); 
+          return sendResponse({ ok: true });
+          
+        case "renameProfile": 
+          await renameProfile(msg.name, msg.newName); 
+          return sendResponse({ ok: true });
+          
+        case "deleteProfile": 
+          await deleteProfile(msg.name); 
+          return sendResponse({ ok: true });
+          
         default: 
           return sendResponse({ ok: false, error: "Unknown command" });
       }
     } catch (error) {
-      return sendResponse({ ok: false, error: error.message });
+      // Snooze, lock and PIN refusals also carry a code and when the command is allowed again
+      return sendResponse({ ok: false, error: error.message, code: error.code, availableAt: error.availableAt });
     }
   })();
   return true; // Keep message channel open for async response
@@ -407,13 +2106,22 @@ function scheduleSync(ms = 120) {
 /* ========== STORAGE CHANGE LISTENER ========== */
 
 chrome.storage.onChanged.addListener(async (changes, area) => {
-  if (area === "sync" && changes.blockedDomains) {
+  if (syncValueChanged(changes, area, [
+        "blockedDomains", "allowedDomains", "domainSchedules", "domainExceptions", "domainBudgets", "domainRedirects"
+      ]) || (area === "sync" && (changes.budgetResetTime || changes.blockMode))) {
     // Don't automatically mark domains as pending here - let the popup handle it
     // This prevents the bug where denied domains get re-marked as pending
     scheduleSync();
   }
   
-  if (area === "local" && (changes.pausedUntilTs || changes.pausedDomains || changes.pendingGrants)) {
+  // Put back anything a lock protects
+  if (syncValueChanged(changes, area, ["blockedDomains", "allowedDomains", "domainExceptions"]) ||
+      (area === "sync" && changes.blockMode)) {
+    enforceLock();
+  }
+  
+  if (area === "local" && (changes.pausedUntilTs || changes.pausedDomains || changes.pendingGrants ||
+      changes.focusSession || changes.commitLock)) {
     scheduleSync();
   }
 });
@@ -427,6 +2135,38 @@ chrome.alarms.onAlarm.addListener(async alarm => {
   if (name === "fg:resumeAll") {
     // Global snooze expired
     await resumeAllNow();
+  
+  } else if (name === "fg:lockEnd") {
+    // Commitment lock ran out
+    await endLock();
+    
+  } else if (name === "fg:session") {
+    // Focus session phase ended
+    await advanceFocusSession();
+    
+  } else if (name === "fg:warnAll") {
+    // Global snooze ends in a minute
+    notifySnoozeEnding(GLOBAL_SNOOZE_KEY);
+    
+  } else if (name.startsWith("fg:warn:")) {
+    // Per-domain snooze ends in a minute
+    notifySnoozeEnding(name.substring("fg:warn:".length));
+    
+  } else if (name === "fg:badge") {
+    // The badge's countdown moved on by a minute
+    await updateBadge();
+    
+  } else if (name === "fg:budgetTick") {
+    // Count another minute of foreground time
+    scheduleTrack();
+    
+  } else if (name === "fg:budgetReset") {
+    // A new budget day started
+    await syncRules();
+    
+  } else if (name === "fg:schedule") {
+    // A schedule window opened or closed
+    await syncRules();
     
   } else if (name.startsWith("fg:resume:")) {
     // Per-domain snooze expired
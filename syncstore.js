@@ -0,0 +1,182 @@
+// FocusGate Sync Storage
+// Purpose: Keeps lists and per-entry settings that can outgrow one chrome.storage.sync item (8 KB)
+// in sync storage
+// Shared by the service worker (importScripts), popup, options and blocked page (<script>)
+//
+// A list that fits in one item is stored as before, under its own key. A larger one is
+// split into pieces of its JSON text stored under "<key>.<rev>.<n>", and the key itself
+// holds { chunks, rev }. Pieces and index are written with one set() call, so readers
+// never see half a list from this device; pieces of an older revision are removed after.
+// When sync refuses a write (quota), the lists are kept in storage.local instead and
+// named in unsyncedKeys until a later write fits again; the popup then warns that they
+// are not syncing.
+
+// Values that may need splitting: the lists and the per-entry maps that grow with them
+const CHUNKED_SYNC_KEYS = [
+  "blockedDomains", "allowedDomains", "profiles",
+  "domainSchedules", "domainExceptions", "domainBudgets", "domainFriction", "domainRedirects", "domainNotes"
+];
+const SYNC_ITEM_BYTES = chrome.storage.sync.QUOTA_BYTES_PER_ITEM - 64;    // Headroom below the per-item quota
+
+/**
+ * Size of an item as counted against the sync quota (key plus JSON value)
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {number} Size in bytes
+ */
+function syncItemBytes(key, value) {
+  return new TextEncoder().encode(key + JSON.stringify(value)).length;
+}
+
+/**
+ * Check whether a stored value is the index of a split list
+ * @param {*} value - Value read from sync storage
+ * @returns {boolean} True if the value is { chunks, rev }
+ */
+function isChunkIndex(value) {
+  return !!value && !Array.isArray(value) && Number.isInteger(value.chunks) && Number.isInteger(value.rev);
+}
+
+/**
+ * Turn a value into the sync items that store it, splitting it if it doesn't fit in one
+ * @param {string} key - Storage key
+ * @param {*} value - Value to store
+ * @returns {Object} Items to set: { key: value } or the index and its pieces
+ */
+function chunkSyncItems(key, value) {
+  if (syncItemBytes(key, value) <= SYNC_ITEM_BYTES) return { [key]: value };
+  
+  const json = JSON.stringify(value);
+  const rev = Date.now();
+  const items = {};
+  let start = 0;
+  let chunks = 0;
+  while (start < json.length) {
+    const name = `${key}.${rev}.${chunks}`;
+    let end = Math.min(json.length, start + SYNC_ITEM_BYTES);
+    // Escaped quotes and non-ASCII text take more than a byte per character
+    while (syncItemBytes(name, json.slice(start, end)) > SYNC_ITEM_BYTES) {
+      end = start + Math.floor((end - start) * 0.9);
+    }
+    // Don't cut a surrogate pair in half
+    const code = json.charCodeAt(end);
+    if (end < json.length && code >= 0xDC00 && code <= 0xDFFF) end--;
+    
+    items[name] = json.slice(start, end);
+    start = end;
+    chunks++;
+  }
+  items[key] = { chunks, rev };
+  return items;
+}
+
+/**
+ * Read values from sync storage, joining split lists and preferring the local copy of
+ * lists that are not syncing
+ * Throws if a split list is incomplete (its pieces are still arriving from another
+ * device); a storage change follows once they are all there
+ * @param {string|string[]} keys - Keys to read
+ * @returns {Promise<Object>} Values by key, like chrome.storage.sync.get()
+ */
+async function readSync(keys) {
+  keys = [].concat(keys);
+  const [stored, { unsyncedKeys = [] }] = await Promise.all([
+    chrome.storage.sync.get(keys),
+    chrome.storage.local.get("unsyncedKeys")
+  ]);
+  
+  // All pieces come from one snapshot so a write in between can't mix revisions
+  if (keys.some(key => isChunkIndex(stored[key]))) {
+    const all = await chrome.storage.sync.get(null);
+    for (const key of keys) {
+      stored[key] = all[key];
+      if (!isChunkIndex(all[key])) continue;
+      
+      const { chunks, rev } = all[key];
+      const pieces = [];
+      for (let n = 0; n < chunks; n++) pieces.push(all[`${key}.${rev}.${n}`]);
+      if (pieces.some(piece => typeof piece !== "string")) {
+        throw new Error(`Synced ${key} is incomplete`);
+      }
+      stored[key] = JSON.parse(pieces.join(""));
+    }
+  }
+  
+  const local = keys.filter(key => unsyncedKeys.includes(key));
+  if (local.length) {
+    for (const key of local) delete stored[key];
+    Object.assign(stored, await chrome.storage.local.get(local));
+  }
+  return stored;
+}
+
+/**
+ * Write values to sync storage, splitting large lists across keys
+ * Keys other than CHUNKED_SYNC_KEYS are written as they are, in the same set() call.
+ * If sync refuses the write, the lists are kept in storage.local instead (see unsyncedKeys)
+ * @param {Object} items - Values by key, like chrome.storage.sync.set()
+ * @returns {Promise<boolean>} True if everything was synced, false if lists were kept locally
+ */
+async function writeSync(items) {
+  const lists = Object.keys(items).filter(key => CHUNKED_SYNC_KEYS.includes(key));
+  const plain = { ...items };
+  const chunked = {};
+  for (const key of lists) {
+    delete plain[key];
+    Object.assign(chunked, chunkSyncItems(key, items[key]));
+  }
+  
+  const [existing, { unsyncedKeys = [] }] = await Promise.all([
+    chrome.storage.sync.get(null),
+    chrome.storage.local.get("unsyncedKeys")
+  ]);
+  const stale = Object.keys(existing).filter(name =>
+    lists.some(key => name.startsWith(`${key}.`)) && !(name in chunked));
+  
+  try {
+    await chrome.storage.sync.set({ ...plain, ...chunked });
+  } catch (err) {
+    // Too large for sync (or too many writes): keep the lists on this device
+    if (!lists.length) throw err;
+    if (Object.keys(plain).length) await chrome.storage.sync.set(plain);
+    const local = {};
+    for (const key of lists) local[key] = items[key];
+    await chrome.storage.local.set({ ...local, unsyncedKeys: [...new Set([...unsyncedKeys, ...lists])] });
+    return false;
+  }
+  
+  if (stale.length) await chrome.storage.sync.remove(stale);
+  
+  // Lists that fit again go back to syncing
+  const back = unsyncedKeys.filter(key => lists.includes(key));
+  if (back.length) {
+    await chrome.storage.local.set({ unsyncedKeys: unsyncedKeys.filter(key => !back.includes(key)) });
+    await chrome.storage.local.remove(back);
+  }
+  return true;
+}
+
+/**
+ * Check whether a storage change touches values read with readSync()
+ * Covers the pieces of split lists and lists kept locally while not syncing
+ * @param {Object} changes - Changes from chrome.storage.onChanged
+ * @param {string} area - Storage area of the change
+ * @param {string[]} keys - Keys to watch
+ * @returns {boolean} True if any of them may have changed
+ */
+function syncValueChanged(changes, area, keys) {
+  const names = Object.keys(changes);
+  if (area === "sync") {
+    return names.some(name => keys.some(key => name === key || name.startsWith(`${key}.`)));
+  }
+  return area === "local" && names.some(name => name === "unsyncedKeys" || keys.includes(name));
+}
+
+/**
+ * List the values that are kept on this device because sync refused them
+ * @returns {Promise<string[]>} Keys from CHUNKED_SYNC_KEYS that are not syncing
+ */
+async function getUnsyncedKeys() {
+  const { unsyncedKeys = [] } = await chrome.storage.local.get("unsyncedKeys");
+  return unsyncedKeys;
+}
\ No newline at end of file
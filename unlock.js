@@ -0,0 +1,113 @@
+// FocusGate Unlock Prompt
+// Purpose: Asks for the PIN when the service worker refuses a protected command
+// Shared by the popup, options page and blocked page (<script>, before the page script)
+
+let unlockToken = null;        // Token from the last correct PIN; the service worker checks its expiry
+let unlockMessage = () => "";  // Translation lookup of the page, set with configureUnlock()
+
+/**
+ * Use the page's translations in the PIN prompt
+ * @param {Function} getMsg - (key) => translated text, or empty if missing
+ */
+function configureUnlock(getMsg) {
+  unlockMessage = getMsg;
+}
+
+/**
+ * Explain a PIN refusal from the service worker
+ * @param {Object} res - { error, code, availableAt }
+ * @returns {string} Message for the user
+ */
+function pinRefusalText(res) {
+  switch (res?.code) {
+    case "PIN_REQUIRED":
+      return unlockMessage('pinRequired') || 'PIN required';
+    case "PIN_WRONG":
+      return unlockMessage('pinWrong') || 'Wrong PIN';
+    case "PIN_RETRY_LATER": {
+      const at = new Date(res.availableAt).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+      return `${unlockMessage('pinRetryLater') || 'Too many wrong attempts. Try again at'} ${at}`;
+    }
+    default:
+      return res?.error || '';
+  }
+}
+
+/**
+ * Ask for the PIN in a modal dialog until it is correct or the dialog is cancelled
+ * @returns {Promise<string|null>} Unlock token, or null if cancelled
+ */
+function promptPin() {
+  return new Promise(resolve => {
+    let token = null;
+    
+    const dialog = document.createElement("dialog");
+    dialog.className = "pin-dialog";
+    const form = document.createElement("form");
+    
+    const label = document.createElement("label");
+    label.textContent = unlockMessage('pinPrompt') || 'Enter the PIN to continue';
+    const input = document.createElement("input");
+    input.type = "password";
+    input.autocomplete = "current-password";
+    input.required = true;
+    label.appendChild(input);
+    
+    const error = document.createElement("small");
+    error.className = "pin-error";
+    error.setAttribute("aria-live", "polite");
+    
+    const row = document.createElement("div");
+    row.className = "row";
+    const cancel = document.createElement("button");
+    cancel.type = "button";
+    cancel.className = "ghost";
+    cancel.textContent = unlockMessage('pinCancel') || 'Cancel';
+    cancel.onclick = () => dialog.close();
+    const ok = document.createElement("button");
+    ok.type = "submit";
+    ok.className = "primary";
+    ok.textContent = unlockMessage('pinUnlock') || 'Unlock';
+    row.append(cancel, ok);
+    
+    form.onsubmit = async (e) => {
+      e.preventDefault();
+      ok.disabled = true;
+      const res = await chrome.runtime.sendMessage({ cmd: "unlockPin", pin: input.value });
+      ok.disabled = false;
+      if (res?.ok) {
+        token = res.token;
+        dialog.close();
+        return;
+      }
+      error.textContent = pinRefusalText(res);
+      input.select();
+    };
+    
+    // Cancel, Escape and a correct PIN all end up here
+    dialog.addEventListener("close", () => {
+      dialog.remove();
+      resolve(token);
+    });
+    
+    form.append(label, error, row);
+    dialog.appendChild(form);
+    document.body.appendChild(dialog);
+    dialog.showModal();
+  });
+}
+
+/**
+ * Send a command to the service worker, asking for the PIN first if it requires one
+ * @param {Object} msg - Message (the unlock token is added)
+ * @returns {Promise<Object>} Response; the PIN_REQUIRED refusal if the prompt was cancelled
+ */
+async function sendProtected(msg) {
+  const res = await chrome.runtime.sendMessage({ ...msg, token: unlockToken });
+  if (res?.code !== "PIN_REQUIRED") return res;
+  
+  const token = await promptPin();
+  if (!token) return res;
+  unlockToken = token;
+  return chrome.runtime.sendMessage({ ...msg, token });
+}
\ No newline at end of file